@@ -1,7 +1,14 @@
 // index.js
 require('dotenv').config();
 
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const readline = require('readline');
+const { Readable } = require('stream');
 const express = require('express');
+const multer = require('multer');
 const Database = require('better-sqlite3');
 
 const {
@@ -18,79 +25,749 @@ const {
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
-  InteractionType
+  InteractionType,
+  AttachmentBuilder
 } = require('discord.js');
 
 const {
   DISCORD_TOKEN,
   CLIENT_ID,
   GUILD_ID,
-  PORT = 3000
+  COMMANDS_SCOPE = 'guild',
+  ENCRYPTION_KEY,
+  WEB_USERNAME,
+  WEB_PASSWORD,
+  WEB_SESSION_SECRET,
+  WEB_SESSION_TTL_HOURS = 12,
+  WEB_USERS = '',
+  ALLOWED_ROLE_IDS = '',
+  READ_ROLE_IDS = '',
+  DESTRUCTIVE_ROLE_IDS = '',
+  ADMIN_ROLE_IDS = '',
+  AUDIT_CHANNEL_ID,
+  TRASH_RETENTION_DAYS = 30,
+  CONFIRM_TIMEOUT_SECONDS = 60,
+  REQUIRE_MAP_NAME_CONFIRM = 'false',
+  CLAIM_TIMEOUT_HOURS = 8,
+  PASSWORD_HISTORY_LIMIT = 10,
+  BACKUP_DIR = 'backups',
+  BACKUP_KEY,
+  BACKUP_INTERVAL_HOURS = 24,
+  BACKUP_KEEP = 14,
+  PORT = 3000,
+  WEB_HOST = '127.0.0.1',
+  TLS_CERT_PATH,
+  TLS_KEY_PATH,
+  TRUST_PROXY = 'false'
 } = process.env;
 
-if (!DISCORD_TOKEN || !CLIENT_ID || !GUILD_ID) {
-  console.error('Please set DISCORD_TOKEN, CLIENT_ID and GUILD_ID in .env');
+// `node index.js restore <backup>` only swaps the database file, so it needs just the keys below
+const RESTORE_COMMAND = process.argv[2] === 'restore';
+
+if (!/^[0-9a-f]{64}$/i.test(ENCRYPTION_KEY || '')) {
+  console.error('Please set ENCRYPTION_KEY in .env to 64 hex characters (e.g. `openssl rand -hex 32`)');
+  process.exit(1);
+}
+if (BACKUP_KEY && !/^[0-9a-f]{64}$/i.test(BACKUP_KEY)) {
+  console.error('BACKUP_KEY must be 64 hex characters (e.g. `openssl rand -hex 32`), or unset to use ENCRYPTION_KEY');
   process.exit(1);
 }
+if (!RESTORE_COMMAND) {
+  // GUILD_ID is optional: it owns maps created before multi-server support and is the web UI's default
+  if (!DISCORD_TOKEN || !CLIENT_ID) {
+    console.error('Please set DISCORD_TOKEN and CLIENT_ID in .env');
+    process.exit(1);
+  }
+  if (!['guild', 'global'].includes(COMMANDS_SCOPE)) {
+    console.error('COMMANDS_SCOPE must be "guild" (instant, registered in every server) or "global" (can take up to an hour)');
+    process.exit(1);
+  }
+  if (!(Number(BACKUP_INTERVAL_HOURS) >= 0) || !(Number.isInteger(Number(BACKUP_KEEP)) && Number(BACKUP_KEEP) >= 1)) {
+    console.error('BACKUP_INTERVAL_HOURS must be 0 (off) or more and BACKUP_KEEP a whole number of at least 1');
+    process.exit(1);
+  }
+  if (!/^\d+$/.test(String(TRASH_RETENTION_DAYS).trim())) {
+    console.error('TRASH_RETENTION_DAYS must be a whole number of days, or 0 to never purge the trash automatically');
+    process.exit(1);
+  }
+  if (!WEB_USERNAME || !WEB_PASSWORD || !WEB_SESSION_SECRET) {
+    console.error('Please set WEB_USERNAME, WEB_PASSWORD and WEB_SESSION_SECRET in .env');
+    process.exit(1);
+  }
+  if (Boolean(TLS_CERT_PATH) !== Boolean(TLS_KEY_PATH)) {
+    console.error('Please set both TLS_CERT_PATH and TLS_KEY_PATH in .env to serve the web UI over HTTPS');
+    process.exit(1);
+  }
+}
+const webTLS = Boolean(TLS_CERT_PATH && TLS_KEY_PATH);
+const WEB_URL = `${webTLS ? 'https' : 'http'}://${WEB_HOST.includes(':') ? `[${WEB_HOST}]` : WEB_HOST}:${PORT}`;
+
+// ---------- Encryption (AES-256-GCM, per-value IV) ----------
+const encKey = Buffer.from(ENCRYPTION_KEY, 'hex');
+const ENC_PREFIX = 'enc:v1:';
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENC_PREFIX);
+}
+function encryptSecret(plain) {
+  if (plain == null) return null;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encKey, iv);
+  const ct = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return ENC_PREFIX + [iv, tag, ct].map(b => b.toString('base64')).join(':');
+}
+function decryptSecret(stored) {
+  if (stored == null) return null;
+  // Rows written before encryption was introduced are migrated at startup,
+  // but never fail a reveal because of one that slipped through.
+  if (!isEncrypted(stored)) return stored;
+  const [iv, tag, ct] = stored.slice(ENC_PREFIX.length).split(':').map(p => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ct), decipher.final()]).toString('utf8');
+}
+
+// ---------- TOTP (RFC 6238) ----------
+// Secrets are kept as a canonical otpauth:// URI, encrypted like passwords
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_ALGORITHMS = { SHA1: 'sha1', SHA256: 'sha256', SHA512: 'sha512' };
+
+function base32Decode(input) {
+  const clean = String(input || '').replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+  if (!clean || /[^A-Z2-7]/.test(clean)) throw new Error('The 2FA secret must be base32 (letters A-Z and digits 2-7)');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const c of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(c);
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// Accepts a bare base32 secret or an otpauth://totp/... URI
+function parseTotp(input) {
+  const s = String(input || '').trim();
+  let secret = s;
+  let digits = 6;
+  let period = 30;
+  let algorithm = 'SHA1';
+  if (/^otpauth:/i.test(s)) {
+    let url;
+    try { url = new URL(s); } catch (_) { throw new Error('Invalid otpauth:// URI'); }
+    if (url.hostname.toLowerCase() !== 'totp') throw new Error('Only otpauth://totp/ URIs are supported');
+    secret = url.searchParams.get('secret') || '';
+    digits = Number(url.searchParams.get('digits') || 6);
+    period = Number(url.searchParams.get('period') || 30);
+    algorithm = (url.searchParams.get('algorithm') || 'SHA1').toUpperCase();
+  }
+  if (base32Decode(secret).length < 10) throw new Error('The 2FA secret is too short');
+  if (![6, 7, 8].includes(digits)) throw new Error('2FA codes must have 6 to 8 digits');
+  if (!Number.isInteger(period) || period < 10 || period > 300) throw new Error('The 2FA period must be 10 to 300 seconds');
+  if (!TOTP_ALGORITHMS[algorithm]) throw new Error('The 2FA algorithm must be SHA1, SHA256 or SHA512');
+  return { secret: secret.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase(), digits, period, algorithm };
+}
+
+function totpURI({ secret, digits, period, algorithm }, label = 'account') {
+  const params = new URLSearchParams({ secret, digits: String(digits), period: String(period), algorithm });
+  return `otpauth://totp/${encodeURIComponent(label)}?${params}`;
+}
+
+function totpCode(config, now = Date.now()) {
+  const { secret, digits, period, algorithm } = config;
+  const counter = Math.floor(now / 1000 / period);
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hash = crypto.createHmac(TOTP_ALGORITHMS[algorithm], base32Decode(secret)).update(msg).digest();
+  // Dynamic truncation (RFC 4226 §5.3)
+  const offset = hash[hash.length - 1] & 0x0f;
+  const binary = hash.readUInt32BE(offset) & 0x7fffffff;
+  return {
+    code: String(binary % 10 ** digits).padStart(digits, '0'),
+    remaining: period - (Math.floor(now / 1000) % period),
+    expiresAt: (counter + 1) * period
+  };
+}
+
+// Edit-form input: blank keeps the current secret, "-" removes it
+function parseTotpEdit(input) {
+  const s = String(input || '').trim();
+  if (!s) return undefined;
+  if (s === '-') return null;
+  return parseTotp(s);
+}
+
+// ---------- Backups (encrypted snapshots of the whole database) ----------
+// A snapshot is the online backup API's copy of the database, AES-256-GCM encrypted with
+// BACKUP_KEY (ENCRYPTION_KEY when unset): magic, IV, auth tag, ciphertext.
+const backupKey = Buffer.from(BACKUP_KEY || ENCRYPTION_KEY, 'hex');
+const BACKUP_MAGIC = Buffer.from('AMBAK1\n');
+const BACKUP_FILE_RE = /^accounts-[0-9TZ-]+\.sqlite\.enc$/;
+let backupInProgress = null;
+
+function encryptBackup(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', backupKey, iv);
+  const ct = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return Buffer.concat([BACKUP_MAGIC, iv, cipher.getAuthTag(), ct]);
+}
+function decryptBackup(buf) {
+  if (!buf.subarray(0, BACKUP_MAGIC.length).equals(BACKUP_MAGIC)) throw new Error('Not a backup file');
+  const iv = buf.subarray(BACKUP_MAGIC.length, BACKUP_MAGIC.length + 12);
+  const tag = buf.subarray(BACKUP_MAGIC.length + 12, BACKUP_MAGIC.length + 28);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', backupKey, iv);
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(buf.subarray(BACKUP_MAGIC.length + 28)), decipher.final()]);
+  } catch (_) {
+    throw new Error('Could not decrypt the backup (wrong BACKUP_KEY or damaged file)');
+  }
+}
+
+// Newest first
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(name => BACKUP_FILE_RE.test(name))
+    .map(name => {
+      const stat = fs.statSync(path.join(BACKUP_DIR, name));
+      return { name, size: stat.size, createdAt: stat.mtime };
+    })
+    .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+// Keeps the newest BACKUP_KEEP snapshots
+function pruneBackups() {
+  const old = listBackups().slice(Number(BACKUP_KEEP));
+  for (const b of old) fs.rmSync(path.join(BACKUP_DIR, b.name), { force: true });
+  return old.length;
+}
+
+// The unencrypted copy only exists while it is being encrypted. Concurrent calls share one run.
+function createBackup() {
+  if (backupInProgress) return backupInProgress;
+  backupInProgress = (async () => {
+    fs.mkdirSync(BACKUP_DIR, { recursive: true, mode: 0o700 });
+    const name = `accounts-${new Date().toISOString().replace(/[:.]/g, '-')}.sqlite.enc`;
+    const tmp = path.join(BACKUP_DIR, `.${name}.tmp`);
+    try {
+      await db.backup(tmp);
+      fs.writeFileSync(path.join(BACKUP_DIR, name), encryptBackup(fs.readFileSync(tmp)), { mode: 0o600 });
+    } finally {
+      fs.rmSync(tmp, { force: true });
+    }
+    const { size } = fs.statSync(path.join(BACKUP_DIR, name));
+    return { name, size, pruned: pruneBackups() };
+  })().finally(() => { backupInProgress = null; });
+  return backupInProgress;
+}
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// `node index.js restore <backup>` (a file in BACKUP_DIR or a path). Runs before the database is
+// opened and exits; stop the bot first. The replaced database is kept next to it.
+function restoreBackupCommand(arg) {
+  const file = arg && (fs.existsSync(arg) ? arg : path.join(BACKUP_DIR, arg));
+  const tmp = `${DB_FILE}.restore.tmp`;
+  try {
+    if (!file || !fs.existsSync(file)) throw new Error(`Usage: node index.js restore <backup>; available: ${listBackups().slice(0, 5).map(b => b.name).join(', ') || 'none'}`);
+    fs.writeFileSync(tmp, decryptBackup(fs.readFileSync(file)), { mode: 0o600 });
+
+    const snapshot = new Database(tmp, { readonly: true, fileMustExist: true });
+    let summary;
+    try {
+      const integrity = snapshot.pragma('integrity_check', { simple: true });
+      if (integrity !== 'ok') throw new Error(`The snapshot is damaged: ${integrity}`);
+      const tables = new Set(snapshot.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).pluck().all());
+      if (!tables.has('maps') || !tables.has('accounts')) throw new Error('The snapshot is not an account maps database');
+      const version = tables.has('schema_version')
+        ? snapshot.prepare('SELECT COALESCE(MAX(version), 0) FROM schema_version').pluck().get()
+        : 0;
+      if (version > SCHEMA_VERSION) throw new Error(`The snapshot is at schema version ${version}; this version of the app only knows up to ${SCHEMA_VERSION}`);
+      const count = table => snapshot.prepare(`SELECT COUNT(*) FROM ${table}`).pluck().get();
+      summary = `schema version ${version}, ${count('maps')} maps, ${count('accounts')} accounts`;
+    } finally {
+      snapshot.close();
+    }
+
+    let previous = null;
+    if (fs.existsSync(DB_FILE)) {
+      previous = `${DB_FILE}.pre-restore-${new Date().toISOString().replace(/[:.]/g, '-')}.bak`;
+      fs.copyFileSync(DB_FILE, previous);
+    }
+    for (const leftover of [`${DB_FILE}-wal`, `${DB_FILE}-shm`, `${DB_FILE}-journal`]) fs.rmSync(leftover, { force: true });
+    fs.renameSync(tmp, DB_FILE);
+    console.log(`✅ Restored ${path.basename(file)} (${summary})`);
+    if (previous) console.log(`The database it replaced was saved as ${previous}`);
+    process.exit(0);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    console.error(`❌ Restore failed: ${e.message}`);
+    process.exit(1);
+  }
+}
 
 // ---------- Database ----------
-const db = new Database('accounts.sqlite');
-db.pragma('foreign_keys = ON');
+const DB_FILE = 'accounts.sqlite';
 
-// Base tables
-db.exec(`
-CREATE TABLE IF NOT EXISTS maps (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  name TEXT NOT NULL UNIQUE COLLATE NOCASE,
-  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-);
-
-CREATE TABLE IF NOT EXISTS accounts (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  -- legacy columns:
-  name TEXT COLLATE NOCASE,
-  map_id INTEGER NOT NULL,
-  data TEXT,
-  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-  FOREIGN KEY (map_id) REFERENCES maps(id) ON DELETE CASCADE
-);
-`);
-
-// Migrate: add modern columns if missing
 function hasColumn(table, column) {
   const cols = db.prepare(`PRAGMA table_info(${table})`).all();
   return cols.some(c => c.name === column);
 }
-if (!hasColumn('accounts', 'login')) db.exec(`ALTER TABLE accounts ADD COLUMN login TEXT`);
-if (!hasColumn('accounts', 'password')) db.exec(`ALTER TABLE accounts ADD COLUMN password TEXT`);
-if (!hasColumn('accounts', 'label')) db.exec(`ALTER TABLE accounts ADD COLUMN label TEXT`);
-db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_accounts_login_map ON accounts(login, map_id) WHERE login IS NOT NULL;`);
 
-function createMap(name) {
-  const stmt = db.prepare('INSERT INTO maps (name) VALUES (?)');
-  return stmt.run(name.trim());
+// ---------- Schema migrations ----------
+// Applied in order, each in its own transaction, and recorded in schema_version. Never edit a
+// migration that has shipped; append a new one. Foreign keys are off while they run so a table
+// can be rebuilt without cascading, and are checked before each migration commits.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Baseline: bring databases from before versioned migrations up to date',
+    up() {
+      // Base tables
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS maps (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          guild_id TEXT NOT NULL,
+          name TEXT NOT NULL COLLATE NOCASE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (guild_id, name)
+        );
+
+        CREATE TABLE IF NOT EXISTS accounts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          -- legacy columns:
+          name TEXT COLLATE NOCASE,
+          map_id INTEGER NOT NULL,
+          data TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (map_id) REFERENCES maps(id) ON DELETE CASCADE
+        );
+      `);
+
+      // Columns added over time, before schema versions were tracked
+      if (!hasColumn('accounts', 'login')) db.exec(`ALTER TABLE accounts ADD COLUMN login TEXT`);
+      if (!hasColumn('accounts', 'password')) db.exec(`ALTER TABLE accounts ADD COLUMN password TEXT`);
+      if (!hasColumn('accounts', 'label')) db.exec(`ALTER TABLE accounts ADD COLUMN label TEXT`);
+      if (!hasColumn('maps', 'description')) db.exec(`ALTER TABLE maps ADD COLUMN description TEXT`);
+      if (!hasColumn('maps', 'color')) db.exec(`ALTER TABLE maps ADD COLUMN color TEXT`);
+      if (!hasColumn('maps', 'icon')) db.exec(`ALTER TABLE maps ADD COLUMN icon TEXT`);
+      if (!hasColumn('maps', 'deleted_at')) db.exec(`ALTER TABLE maps ADD COLUMN deleted_at DATETIME`);
+      if (!hasColumn('maps', 'password_history_limit')) db.exec(`ALTER TABLE maps ADD COLUMN password_history_limit INTEGER`);
+      if (!hasColumn('accounts', 'deleted_at')) db.exec(`ALTER TABLE accounts ADD COLUMN deleted_at DATETIME`);
+      if (!hasColumn('accounts', 'totp_secret')) db.exec(`ALTER TABLE accounts ADD COLUMN totp_secret TEXT`);
+      if (!hasColumn('accounts', 'claimed_by')) db.exec(`ALTER TABLE accounts ADD COLUMN claimed_by TEXT`);
+      if (!hasColumn('accounts', 'claimed_by_name')) db.exec(`ALTER TABLE accounts ADD COLUMN claimed_by_name TEXT`);
+      if (!hasColumn('accounts', 'claimed_at')) db.exec(`ALTER TABLE accounts ADD COLUMN claimed_at DATETIME`);
+      if (!hasColumn('accounts', 'status')) db.exec(`ALTER TABLE accounts ADD COLUMN status TEXT NOT NULL DEFAULT 'active'`);
+      if (!hasColumn('accounts', 'status_reason')) db.exec(`ALTER TABLE accounts ADD COLUMN status_reason TEXT`);
+
+      // Maps belong to a Discord server; maps from single-server versions go to GUILD_ID. Names become
+      // unique per server, which SQLite can only do by rebuilding the table.
+      if (!hasColumn('maps', 'guild_id')) {
+        if (!GUILD_ID && db.prepare('SELECT COUNT(*) AS n FROM maps').get().n) {
+          throw new Error('Please set GUILD_ID in .env to the Discord server that owns the existing maps');
+        }
+        db.exec(`
+          CREATE TABLE maps_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            name TEXT NOT NULL COLLATE NOCASE,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            description TEXT,
+            color TEXT,
+            icon TEXT,
+            deleted_at DATETIME,
+            password_history_limit INTEGER,
+            UNIQUE (guild_id, name)
+          );
+        `);
+        db.prepare(`
+          INSERT INTO maps_new (id, guild_id, name, created_at, description, color, icon, deleted_at, password_history_limit)
+          SELECT id, ?, name, created_at, description, color, icon, deleted_at, password_history_limit FROM maps
+        `).run(GUILD_ID || '');
+        db.exec('DROP TABLE maps; ALTER TABLE maps_new RENAME TO maps;');
+      }
+      // Trashed accounts must not block re-adding the same login, so the index skips them
+      const loginIndex = db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'index' AND name = 'idx_accounts_login_map'`).get();
+      if (loginIndex && !loginIndex.sql.includes('deleted_at')) db.exec(`DROP INDEX idx_accounts_login_map`);
+      db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_accounts_login_map ON accounts(login, map_id) WHERE login IS NOT NULL AND deleted_at IS NULL;`);
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source TEXT NOT NULL,
+          actor TEXT NOT NULL,
+          actor_name TEXT,
+          action TEXT NOT NULL,
+          map_id INTEGER,
+          map_name TEXT,
+          account_id INTEGER,
+          account_login TEXT,
+          details TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+
+        CREATE TABLE IF NOT EXISTS account_password_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          account_id INTEGER NOT NULL,
+          password TEXT NOT NULL,
+          changed_by_source TEXT,
+          changed_by TEXT,
+          changed_by_name TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_password_history_account ON account_password_history(account_id, id);
+
+        CREATE TABLE IF NOT EXISTS map_access (
+          map_id INTEGER NOT NULL,
+          subject_type TEXT NOT NULL,
+          subject TEXT NOT NULL,
+          level TEXT NOT NULL,
+          PRIMARY KEY (map_id, subject_type, subject),
+          FOREIGN KEY (map_id) REFERENCES maps(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS api_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          token_hint TEXT NOT NULL,
+          scope TEXT NOT NULL,
+          created_by TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_used_at DATETIME,
+          revoked_at DATETIME
+        );
+      `);
+      // Audit entries and API tokens are scoped to a server like the maps they touch
+      for (const table of ['audit_log', 'api_tokens']) {
+        if (hasColumn(table, 'guild_id')) continue;
+        db.exec(`ALTER TABLE ${table} ADD COLUMN guild_id TEXT`);
+        db.prepare(`UPDATE ${table} SET guild_id = ?`).run(GUILD_ID || null);
+      }
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_audit_log_guild ON audit_log(guild_id, created_at);`);
+    }
+  },
+  {
+    version: 2,
+    name: 'Drop the legacy account name/secret columns and keep data as JSON',
+    up() {
+      // "name" was kept in sync with COALESCE(label, login) and its UNIQUE(name, map_id) made two
+      // accounts with the same label collide; accounts from before logins existed only have a
+      // name, which becomes their label. "secret" was never written by this app, but older
+      // databases hold values there: they move, encrypted, to data.secret first.
+      if (hasColumn('accounts', 'secret')) {
+        const rows = db.prepare(`SELECT id, data, secret FROM accounts WHERE secret IS NOT NULL AND secret <> ''`).all();
+        const update = db.prepare('UPDATE accounts SET data = ? WHERE id = ?');
+        for (const row of rows) update.run(accountDataJSON({ ...parseAccountData(row.data), secret: encryptSecret(row.secret) }), row.id);
+      }
+      db.exec(`
+        CREATE TABLE accounts_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          map_id INTEGER NOT NULL,
+          login TEXT,
+          password TEXT,
+          label TEXT,
+          data TEXT,
+          totp_secret TEXT,
+          status TEXT NOT NULL DEFAULT 'active',
+          status_reason TEXT,
+          claimed_by TEXT,
+          claimed_by_name TEXT,
+          claimed_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          deleted_at DATETIME,
+          FOREIGN KEY (map_id) REFERENCES maps(id) ON DELETE CASCADE
+        );
+        INSERT INTO accounts_new (id, map_id, login, password, label, data, totp_secret, status, status_reason,
+          claimed_by, claimed_by_name, claimed_at, created_at, deleted_at)
+        SELECT id, map_id, login, password, COALESCE(label, CASE WHEN login IS NULL THEN name END), data, totp_secret,
+          status, status_reason, claimed_by, claimed_by_name, claimed_at, created_at, deleted_at
+        FROM accounts;
+        DROP TABLE accounts;
+        ALTER TABLE accounts_new RENAME TO accounts;
+        CREATE UNIQUE INDEX idx_accounts_login_map ON accounts(login, map_id) WHERE login IS NOT NULL AND deleted_at IS NULL;
+      `);
+      // "data" holds { notes, tags, fields } JSON; keep any legacy free text as notes
+      db.exec(`UPDATE accounts SET data = json_object('notes', data) WHERE data IS NOT NULL AND json_valid(data) = 0`);
+    }
+  },
+  {
+    version: 3,
+    name: 'Encrypt plaintext passwords left from before ENCRYPTION_KEY was used',
+    up() {
+      const rows = db.prepare(`SELECT id, password FROM accounts WHERE password IS NOT NULL AND password NOT LIKE '${ENC_PREFIX}%'`).all();
+      const update = db.prepare('UPDATE accounts SET password = ? WHERE id = ?');
+      for (const row of rows) update.run(encryptSecret(row.password), row.id);
+      if (rows.length) console.log(`🔐 Encrypted ${rows.length} plaintext password(s)`);
+    }
+  }
+];
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function schemaVersion() {
+  return db.prepare('SELECT COALESCE(MAX(version), 0) FROM schema_version').pluck().get();
+}
+
+// Snapshot taken next to the database before any pending migration runs
+function backupBeforeMigrating(fromVersion) {
+  const file = `${DB_FILE}.v${fromVersion}-${new Date().toISOString().replace(/[:.]/g, '-')}.bak`;
+  db.prepare('VACUUM INTO ?').run(file);
+  return file;
+}
+
+// Nothing may open the database before a restore has swapped it
+if (RESTORE_COMMAND) restoreBackupCommand(process.argv[3]);
+
+const db = new Database(DB_FILE);
+db.pragma('foreign_keys = ON');
+
+(function migrate() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  const current = schemaVersion();
+  if (current > SCHEMA_VERSION) {
+    console.error(`${DB_FILE} is at schema version ${current}, but this version of the app only knows up to ${SCHEMA_VERSION}. Please update the app.`);
+    process.exit(1);
+  }
+  const pending = MIGRATIONS.filter(m => m.version > current);
+  if (!pending.length) return;
+
+  // A brand-new database has nothing worth backing up
+  const isNew = !db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'maps'`).get();
+  const backup = isNew ? null : backupBeforeMigrating(current);
+  if (backup) console.log(`💾 Backed up ${DB_FILE} to ${backup} before migrating`);
+
+  const record = db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+  db.pragma('foreign_keys = OFF');
+  for (const m of pending) {
+    try {
+      db.transaction(() => {
+        m.up();
+        const broken = db.pragma('foreign_key_check');
+        if (broken.length) throw new Error(`${broken.length} row(s) would reference missing rows (first in ${broken[0].table})`);
+        record.run(m.version, m.name);
+      })();
+    } catch (e) {
+      console.error(`❌ Migration ${m.version} (${m.name}) failed and was rolled back: ${e.message}`);
+      if (backup) console.error(`The database is at schema version ${schemaVersion()}; a copy from before migrating is at ${backup}`);
+      process.exit(1);
+    }
+    console.log(`🗄️ Applied migration ${m.version}: ${m.name}`);
+  }
+  db.pragma('foreign_keys = ON');
+})();
+
+function createMap(name, guildId) {
+  if (!guildId) throw new Error('No Discord server selected');
+  const stmt = db.prepare('INSERT INTO maps (guild_id, name) VALUES (?, ?)');
+  return stmt.run(guildId, name.trim());
+}
+// Color is stored as #RRGGBB; throws on anything else so callers can report it
+function parseMapColor(input) {
+  const s = String(input || '').trim();
+  if (!s) return null;
+  if (!/^#?[0-9a-f]{6}$/i.test(s)) throw new Error('Color must be a hex value like #2B7FFF');
+  return '#' + s.replace('#', '').toUpperCase();
+}
+// Blank means "use PASSWORD_HISTORY_LIMIT"; 0 turns history off for the map
+function parseHistoryLimit(input) {
+  const s = String(input ?? '').trim();
+  if (!s) return null;
+  const n = Number(s);
+  if (!Number.isInteger(n) || n < 0 || n > 100) throw new Error('Password history must be a whole number from 0 to 100');
+  return n;
+}
+function updateMap({ id, name, description, color, icon, historyLimit }) {
+  const stmt = db.prepare(`
+    UPDATE maps SET name = @name, description = @description, color = @color, icon = @icon,
+      password_history_limit = @historyLimit
+    WHERE id = @id
+  `);
+  return stmt.run({
+    id,
+    name: String(name).trim(),
+    description: String(description || '').trim() || null,
+    color: parseMapColor(color),
+    icon: String(icon || '').trim() || null,
+    historyLimit: parseHistoryLimit(historyLimit)
+  });
 }
+function mapDisplayName(map) {
+  return map.icon ? `${map.icon} ${map.name}` : map.name;
+}
+// Moves the map to the trash; its accounts stay attached and come back on restore
 function deleteMapById(id) {
-  const stmt = db.prepare('DELETE FROM maps WHERE id = ?');
+  const stmt = db.prepare(`UPDATE maps SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL`);
   return stmt.run(id);
 }
-function getMapByName(name) {
-  const stmt = db.prepare('SELECT * FROM maps WHERE name = ?');
-  return stmt.get(name.trim());
+// Includes trashed maps, since the NOCASE unique name still applies to them
+function getMapByName(name, guildId) {
+  const stmt = db.prepare('SELECT * FROM maps WHERE guild_id = ? AND name = ?');
+  return stmt.get(guildId, name.trim());
+}
+function mapNameTakenMessage(name, guildId) {
+  return getMapByName(name, guildId)?.deleted_at
+    ? `Map "${name}" is in the trash. Restore or purge it first.`
+    : `Map "${name}" already exists.`;
+}
+// With a viewer, maps it cannot reach at `level` are treated as missing
+function getMapById(id, { includeDeleted = false, viewer, level = 'view' } = {}) {
+  const stmt = db.prepare(`SELECT * FROM maps WHERE id = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`);
+  const map = stmt.get(id);
+  return map && viewer && !canAccessMap(map.id, viewer, level) ? undefined : map;
+}
+// tag counts only accounts carrying that tag, matching listAccountsByMapId
+function countAccountsInMap(mapId, { tag } = {}) {
+  return db.prepare(`
+    SELECT COUNT(*) AS n FROM accounts
+    WHERE map_id = @mapId AND deleted_at IS NULL
+      ${tag ? `AND EXISTS (SELECT 1 FROM json_each(accounts.data, '$.tags') WHERE value = @tag)` : ''}
+  `).get({ mapId, ...(tag ? { tag: String(tag).toLowerCase() } : {}) }).n;
+}
+
+// ---------- Per-map access ----------
+// A map without map_access rows is open to everyone the global role tiers let in. Once it has
+// rows, only the listed Discord roles and web users reach it, each up to its level, plus admins.
+// A viewer is { admin, roles, user, guildId } (see discordViewer/webViewer; Discord viewers also
+// carry their role `tiers`); maps of other Discord servers are out of its reach whatever the
+// access rows say.
+const MAP_ACCESS_LEVELS = ['view', 'reveal', 'modify'];
+
+function listMapAccess(mapId) {
+  const stmt = db.prepare('SELECT subject_type, subject, level FROM map_access WHERE map_id = ? ORDER BY subject_type, subject');
+  return stmt.all(mapId);
+}
+// One "role <id>: <level>" or "user <name>: <level>" per line
+function parseMapAccess(input) {
+  const entries = new Map();
+  for (const line of String(input || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean)) {
+    const m = line.match(/^(role|user)\s+(.+?)\s*[:=]\s*(\S+)$/i);
+    if (!m) throw new Error(`Access line "${truncate(line, 40)}" needs the format role <id>: level or user <name>: level`);
+    const [, type, subject, level] = [m[0], m[1].toLowerCase(), m[2], m[3].toLowerCase()];
+    if (!MAP_ACCESS_LEVELS.includes(level)) throw new Error(`Access level must be one of: ${MAP_ACCESS_LEVELS.join(', ')}`);
+    if (type === 'role' && !/^\d{5,25}$/.test(subject)) throw new Error(`"${truncate(subject, 40)}" is not a Discord role ID`);
+    entries.set(`${type} ${subject}`, { subject_type: type, subject, level });
+  }
+  return [...entries.values()];
+}
+function formatMapAccess(entries) {
+  return entries.map(e => `${e.subject_type} ${e.subject}: ${e.level}`).join('\n');
+}
+// Replaces the whole list; an empty list opens the map to everyone again
+function setMapAccess(mapId, entries) {
+  const insert = db.prepare('INSERT INTO map_access (map_id, subject_type, subject, level) VALUES (?, ?, ?, ?)');
+  db.transaction(() => {
+    db.prepare('DELETE FROM map_access WHERE map_id = ?').run(mapId);
+    for (const e of entries) insert.run(mapId, e.subject_type, e.subject, e.level);
+  })();
+}
+function mapAccessAuditDetails(entries) {
+  return entries.length ? truncate(formatMapAccess(entries).replace(/\n/g, ', '), 500) : 'open to everyone';
+}
+function mapGuildId(mapId) {
+  return db.prepare('SELECT guild_id FROM maps WHERE id = ?').get(mapId)?.guild_id;
+}
+// Highest level the viewer has on the map, or null; no viewer means an internal caller
+function mapAccessLevel(mapId, viewer) {
+  if (!viewer) return 'modify';
+  if (mapGuildId(mapId) !== viewer.guildId) return null;
+  if (viewer.admin) return 'modify';
+  const entries = listMapAccess(mapId);
+  if (!entries.length) return 'modify';
+  const rank = entries
+    .filter(e => (e.subject_type === 'role' ? viewer.roles.includes(e.subject) : e.subject === viewer.user))
+    .reduce((best, e) => Math.max(best, MAP_ACCESS_LEVELS.indexOf(e.level)), -1);
+  return rank >= 0 ? MAP_ACCESS_LEVELS[rank] : null;
 }
-function getMapById(id) {
-  const stmt = db.prepare('SELECT * FROM maps WHERE id = ?');
-  return stmt.get(id);
+function canAccessMap(mapId, viewer, level = 'view') {
+  const have = mapAccessLevel(mapId, viewer);
+  return have !== null && MAP_ACCESS_LEVELS.indexOf(have) >= MAP_ACCESS_LEVELS.indexOf(level);
 }
-function listMapsWithCounts() {
+// Restricted maps the viewer cannot reach at `level`, as JSON for `NOT IN (SELECT value FROM json_each(...))`
+function hiddenMapIds(viewer, level = 'view') {
+  if (!viewer || viewer.admin) return '[]';
+  const restricted = db.prepare(`
+    SELECT DISTINCT a.map_id FROM map_access a JOIN maps m ON m.id = a.map_id WHERE m.guild_id = ?
+  `).all(viewer.guildId || '').map(r => r.map_id);
+  return JSON.stringify(restricted.filter(id => !canAccessMap(id, viewer, level)));
+}
+// Named parameters (@hidden, @guild) for queries that list maps on behalf of a viewer
+function mapScope(viewer, level = 'view') {
+  return { hidden: hiddenMapIds(viewer, level), guild: viewer ? viewer.guildId || '' : null };
+}
+// ---------- Account status ----------
+const ACCOUNT_STATUSES = {
+  active: { label: 'Active', emoji: '🟢' },
+  banned: { label: 'Banned', emoji: '⛔' },
+  locked: { label: 'Locked', emoji: '🔐' },
+  'needs-review': { label: 'Needs review', emoji: '🟡' }
+};
+const STATUS_REASON_MAX_LENGTH = 200;
+
+function parseStatus(input) {
+  const status = String(input || '').trim().toLowerCase();
+  if (!ACCOUNT_STATUSES[status]) throw new Error(`Status must be one of: ${Object.keys(ACCOUNT_STATUSES).join(', ')}`);
+  return status;
+}
+function statusBadge(status) {
+  const s = ACCOUNT_STATUSES[status] || ACCOUNT_STATUSES.active;
+  return `${s.emoji} ${s.label}`;
+}
+// Reason only makes sense off the happy path, so switching back to active clears it
+function setAccountStatus(id, status, reason) {
+  const cleanReason = String(reason || '').trim();
+  if (cleanReason.length > STATUS_REASON_MAX_LENGTH) throw new Error(`Reason can be at most ${STATUS_REASON_MAX_LENGTH} characters`);
+  const stmt = db.prepare('UPDATE accounts SET status = ?, status_reason = ? WHERE id = ?');
+  return stmt.run(status, status === 'active' ? null : cleanReason || null, id);
+}
+// "42 accounts (30 active, 8 banned, 4 locked)"; the breakdown is skipped when all are active
+function formatMapCounts(m) {
+  const total = `${m.account_count} account${m.account_count === 1 ? '' : 's'}`;
+  const parts = Object.entries(m.status_counts || {})
+    .filter(([, n]) => n > 0)
+    .map(([status, n]) => `${n} ${ACCOUNT_STATUSES[status].label.toLowerCase()}`);
+  return parts.length && m.status_counts.active !== m.account_count ? `${total} (${parts.join(', ')})` : total;
+}
+
+// Adds status_counts: { active: n, banned: n, ... } to each map; a viewer only gets the maps it
+// can reach at `level`
+function listMapsWithCounts(viewer, level = 'view') {
   const stmt = db.prepare(`
-    SELECT m.id, m.name, m.created_at, COUNT(a.id) AS account_count
+    SELECT m.id, m.name, m.description, m.color, m.icon, m.password_history_limit, m.created_at, COUNT(a.id) AS account_count
     FROM maps m
-    LEFT JOIN accounts a ON a.map_id = m.id
+    LEFT JOIN accounts a ON a.map_id = m.id AND a.deleted_at IS NULL
+    WHERE m.deleted_at IS NULL AND m.id NOT IN (SELECT value FROM json_each(@hidden)) AND (@guild IS NULL OR m.guild_id = @guild)
     GROUP BY m.id
     ORDER BY m.name ASC
   `);
-  return stmt.all();
+  const counts = db.prepare(`
+    SELECT map_id, status, COUNT(*) AS n FROM accounts
+    WHERE deleted_at IS NULL
+    GROUP BY map_id, status
+  `).all();
+  return stmt.all(mapScope(viewer, level)).map(m => {
+    const statusCounts = Object.fromEntries(Object.keys(ACCOUNT_STATUSES).map(status => [status, 0]));
+    for (const c of counts) if (c.map_id === m.id && c.status in statusCounts) statusCounts[c.status] = c.n;
+    return { ...m, status_counts: statusCounts };
+  });
 }
 
 function parsePair(pair) {
@@ -103,13 +780,130 @@ function parsePair(pair) {
   return { login, password };
 }
 
-function addAccountToMap({ mapId, login, password, label }) {
+// ---------- Account notes, tags and custom fields (JSON in "data") ----------
+const NOTES_MAX_LENGTH = 1000;
+const TAGS_MAX = 20;
+const TAG_MAX_LENGTH = 32;
+const CUSTOM_FIELDS_MAX = 20;
+const CUSTOM_FIELD_VALUE_MAX_LENGTH = 200;
+
+function parseAccountData(raw) {
+  let d = {};
+  try { d = JSON.parse(raw || '{}') || {}; } catch (_) { d = { notes: String(raw) }; }
+  return {
+    notes: typeof d.notes === 'string' ? d.notes : '',
+    tags: Array.isArray(d.tags) ? d.tags.map(String) : [],
+    fields: d.fields && typeof d.fields === 'object' && !Array.isArray(d.fields) ? d.fields : {}
+  };
+}
+// Empty data is stored as NULL so untouched accounts look like before
+function accountDataJSON({ notes, tags, fields, secret } = {}) {
+  const d = {};
+  if (notes) d.notes = notes;
+  if (tags && tags.length) d.tags = tags;
+  if (fields && Object.keys(fields).length) d.fields = fields;
+  if (secret) d.secret = secret;
+  return Object.keys(d).length ? JSON.stringify(d) : null;
+}
+// A legacy "secret" (see migration 2) is kept encrypted in data.secret, outside what
+// parseAccountData returns, so only the reveal paths and exports ever decrypt it
+function storedAccountSecret(raw) {
+  try {
+    const secret = JSON.parse(raw || '{}')?.secret;
+    return isEncrypted(secret) ? secret : null;
+  } catch (_) {
+    return null;
+  }
+}
+function accountSecret(acc) {
+  return decryptSecret(storedAccountSecret(acc.data));
+}
+function parseNotes(input) {
+  const notes = String(input || '').trim();
+  if (notes.length > NOTES_MAX_LENGTH) throw new Error(`Notes can be at most ${NOTES_MAX_LENGTH} characters`);
+  return notes;
+}
+// Comma-separated, lowercased and de-duplicated; "#" prefixes are dropped
+function parseTags(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(',');
+  const tags = [...new Set(list.map(t => String(t).trim().replace(/^#/, '').toLowerCase()).filter(Boolean))];
+  if (tags.length > TAGS_MAX) throw new Error(`At most ${TAGS_MAX} tags per account`);
+  const long = tags.find(t => t.length > TAG_MAX_LENGTH);
+  if (long) throw new Error(`Tag "${truncate(long, 40)}" is longer than ${TAG_MAX_LENGTH} characters`);
+  return tags;
+}
+// One "key: value" (or "key=value") per line; an object is accepted as-is for imports
+function parseCustomFields(input) {
+  let entries;
+  if (input && typeof input === 'object') {
+    entries = Object.entries(input).map(([k, v]) => [String(k).trim(), String(v ?? '').trim()]);
+  } else {
+    entries = String(input || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean).map(line => {
+      const m = line.match(/^([^:=]+)[:=](.*)$/);
+      if (!m) throw new Error(`Custom field "${truncate(line, 40)}" needs the format key: value`);
+      return [m[1].trim(), m[2].trim()];
+    });
+  }
+  const fields = {};
+  for (const [key, value] of entries) {
+    if (!key || !value) continue;
+    if (key.length > TAG_MAX_LENGTH) throw new Error(`Field name "${truncate(key, 40)}" is longer than ${TAG_MAX_LENGTH} characters`);
+    if (value.length > CUSTOM_FIELD_VALUE_MAX_LENGTH) throw new Error(`Field "${key}" is longer than ${CUSTOM_FIELD_VALUE_MAX_LENGTH} characters`);
+    fields[key] = value;
+  }
+  if (Object.keys(fields).length > CUSTOM_FIELDS_MAX) throw new Error(`At most ${CUSTOM_FIELDS_MAX} custom fields per account`);
+  return fields;
+}
+function formatCustomFields(fields) {
+  return Object.entries(fields || {}).map(([k, v]) => `${k}: ${v}`).join('\n');
+}
+// Validates raw user input; throws with a readable message on bad notes/tags/fields
+function buildAccountData({ notes, tags, fields }) {
+  return { notes: parseNotes(notes), tags: parseTags(tags), fields: parseCustomFields(fields) };
+}
+// Names of the parts that differ, for audit details
+function accountDataChanges(acc, data) {
+  const before = parseAccountData(acc.data);
+  return [
+    before.notes !== data.notes && 'notes',
+    before.tags.join(',') !== data.tags.join(',') && 'tags',
+    JSON.stringify(before.fields) !== JSON.stringify(data.fields) && 'fields'
+  ].filter(Boolean).join(', ') || 'no changes';
+}
+// data.secret cannot be edited, so the stored one is carried over
+function updateAccountData(id, data) {
+  const secret = storedAccountSecret(db.prepare('SELECT data FROM accounts WHERE id = ?').pluck().get(id));
+  const stmt = db.prepare('UPDATE accounts SET data = ? WHERE id = ?');
+  return stmt.run(accountDataJSON({ ...data, secret }), id);
+}
+function listAccountTags(mapId) {
+  const stmt = db.prepare(`
+    SELECT DISTINCT t.value AS tag
+    FROM accounts a, json_each(a.data, '$.tags') t
+    WHERE a.map_id = ? AND a.deleted_at IS NULL
+    ORDER BY t.value ASC
+  `);
+  return stmt.all(mapId).map(r => r.tag);
+}
+
+function addAccountToMap({ mapId, login, password, label, createdAt, data, totp }) {
   const stmt = db.prepare(`
-    INSERT INTO accounts (login, password, label, map_id, name, data)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO accounts (login, password, label, map_id, data, totp_secret, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
   `);
-  // Keep legacy "name" synchronized (for older views) and clear "data"
-  return stmt.run(login, password, label || null, mapId, label || login, null);
+  return stmt.run(
+    login, encryptSecret(password), label || null, mapId, accountDataJSON(data),
+    totp ? encryptSecret(totpURI(totp, login)) : null, createdAt || null
+  );
+}
+
+// totp is a parseTotp() result, or null to remove the secret
+function setAccountTotp(id, totp, login) {
+  const stmt = db.prepare('UPDATE accounts SET totp_secret = ? WHERE id = ?');
+  return stmt.run(totp ? encryptSecret(totpURI(totp, login)) : null, id);
+}
+function accountTotp(acc) {
+  return acc.totp_secret ? parseTotp(decryptSecret(acc.totp_secret)) : null;
 }
 
 function addAccountPairToMap({ mapId, pair, label }) {
@@ -117,139 +911,1202 @@ function addAccountPairToMap({ mapId, pair, label }) {
   return addAccountToMap({ mapId, login, password, label });
 }
 
-function bulkAddPairs({ mapId, pairsText }) {
-  const lines = String(pairsText || '')
+function overwriteAccountPassword({ mapId, login, password, actor }) {
+  const existing = db.prepare('SELECT id FROM accounts WHERE map_id = ? AND login = ? AND deleted_at IS NULL').get(mapId, login);
+  if (!existing) return { changes: 0 };
+  recordPasswordChange(existing.id, password, actor);
+  const stmt = db.prepare('UPDATE accounts SET password = ? WHERE id = ?');
+  return stmt.run(encryptSecret(password), existing.id);
+}
+
+// Report-safe version of an input line: keep the login, hide the password
+function maskPairLine(line) {
+  const idx = line.indexOf(':');
+  return idx > 0 ? `${line.slice(0, idx)}:${mask(line.slice(idx + 1))}` : mask(line);
+}
+
+const DRY_RUN_ROLLBACK = Symbol('dry-run rollback');
+
+function pairLines(text) {
+  return String(text || '')
     .split(/\r?\n/)
-    .map(l => l.trim())
-    .filter(Boolean);
-  const results = { added: 0, duplicates: 0, errors: [] };
+    .map((l, i) => ({ lineNo: i + 1, line: l.trim() }))
+    .filter(l => l.line);
+}
+
+function newBulkResults({ dryRun = false, overwrite = false } = {}) {
+  return { added: 0, updated: 0, duplicates: 0, errors: [], duplicateLines: [], addedLines: [], dryRun, overwrite };
+}
+
+// Adds { lineNo, line } entries in a single transaction, tallying into `results`. dryRun runs
+// the same inserts and rolls them back, so the preview sees exactly what a real import would.
+// overwrite replaces the password of duplicate logins, keeping the old one in the history
+// under `actor`.
+function bulkAddBatch({ mapId, entries, results, actor }) {
+  const { dryRun, overwrite } = results;
   const tx = db.transaction(() => {
-    for (const line of lines) {
+    for (const { lineNo, line } of entries) {
       try {
         const { login, password } = parsePair(line);
-        addAccountToMap({ mapId, login, password, label: null });
-        results.added++;
-      } catch (e) {
-        if (String(e.message).includes('UNIQUE') || String(e.message).includes('constraint')) {
-          results.duplicates++;
-        } else {
-          results.errors.push({ line, error: e.message });
+        try {
+          addAccountToMap({ mapId, login, password, label: null });
+          results.added++;
+          results.addedLines.push({ lineNo, line: maskPairLine(line) });
+          continue;
+        } catch (e) {
+          if (!(String(e.message).includes('UNIQUE') || String(e.message).includes('constraint'))) throw e;
         }
+        const updated = overwrite && overwriteAccountPassword({ mapId, login, password, actor }).changes > 0;
+        if (updated) results.updated++;
+        else results.duplicates++;
+        results.duplicateLines.push({ lineNo, line: maskPairLine(line), updated });
+      } catch (e) {
+        results.errors.push({ lineNo, line: maskPairLine(line), error: e.message });
       }
     }
+    if (dryRun) throw DRY_RUN_ROLLBACK;
   });
-  tx();
+  try {
+    tx();
+  } catch (e) {
+    if (e !== DRY_RUN_ROLLBACK) throw e;
+  }
   return results;
 }
 
-function listAccountsByMapId(mapId, limit = 250) {
+function bulkAddPairs({ mapId, pairsText, dryRun = false, overwrite = false, actor }) {
+  return bulkAddBatch({ mapId, entries: pairLines(pairsText), results: newBulkResults({ dryRun, overwrite }), actor });
+}
+
+// ---------- Bulk add from files ----------
+const BULK_FILE_EXTENSIONS = ['.txt', '.csv'];
+const BULK_PROGRESS_EVERY_LINES = 500;
+
+// Reads a .txt (login:password lines) or .csv (login,password rows, an optional "login" header
+// is skipped) stream line by line as it arrives, so the raw file is never buffered; the parsed
+// entries are kept so the whole batch can be added in one transaction, each later going
+// through parsePair. onProgress(linesRead) is awaited every BULK_PROGRESS_EVERY_LINES lines.
+async function readPairLines(input, filename, onProgress) {
+  const ext = String(filename || '').toLowerCase().slice(String(filename || '').lastIndexOf('.'));
+  if (!BULK_FILE_EXTENSIONS.includes(ext)) {
+    input.resume();
+    throw new Error('Upload a .txt or .csv file');
+  }
+  const entries = [];
+  let lineNo = 0;
+  for await (const raw of readline.createInterface({ input, crlfDelay: Infinity })) {
+    lineNo++;
+    let line = (lineNo === 1 ? raw.replace(/^\uFEFF/, '') : raw).trim();
+    if (onProgress && lineNo % BULK_PROGRESS_EVERY_LINES === 0) await onProgress(lineNo);
+    if (!line) continue;
+    if (ext === '.csv') {
+      const [login = '', password = ''] = parseCSV(line)[0] || [];
+      line = `${login.trim()}:${password.trim()}`;
+      if (!entries.length && /^login:/i.test(line)) continue;
+    }
+    entries.push({ lineNo, line });
+  }
+  return entries;
+}
+
+// Back to text with blank lines where the file had them, so a re-posted preview keeps its
+// line numbers
+function pairLinesToText(entries) {
+  const lines = [];
+  for (const { lineNo, line } of entries) lines[lineNo - 1] = line;
+  return Array.from(lines, l => l ?? '').join('\n');
+}
+
+// The whole list goes in as one transaction: a failure part-way leaves the map untouched
+function bulkAddEntries({ mapId, entries, dryRun = false, overwrite = false, actor }) {
+  return bulkAddBatch({ mapId, entries, results: newBulkResults({ dryRun, overwrite }), actor });
+}
+
+const BULK_MODES = ['add', 'preview', 'overwrite'];
+
+// One { line, error } row per failed and duplicate line in input order, then (in a preview)
+// the lines that would be added
+function bulkReportRows(res) {
+  const verb = res.dryRun ? 'would be' : 'was';
+  const problems = [
+    ...res.errors.map(e => ({ lineNo: e.lineNo, line: e.line, error: e.error })),
+    ...res.duplicateLines.map(d => ({
+      lineNo: d.lineNo,
+      line: d.line,
+      error: d.updated ? `Duplicate login, password ${verb} overwritten` : `Duplicate login, ${verb} skipped`
+    }))
+  ].sort((a, b) => a.lineNo - b.lineNo);
+  const additions = res.dryRun ? res.addedLines.map(a => ({ lineNo: a.lineNo, line: a.line, error: 'Would be added' })) : [];
+  return [...problems, ...additions].map(r => ({ line: `Line ${r.lineNo}: ${r.line}`, error: r.error }));
+}
+
+// [label, count] pairs shared by the Discord and web reports
+function bulkSummary(res) {
+  return [
+    [res.dryRun ? 'Would add' : 'Added', res.added],
+    ...(res.overwrite ? [[res.dryRun ? 'Would overwrite' : 'Overwritten', res.updated]] : []),
+    [res.overwrite ? 'Duplicates' : 'Duplicates (skipped)', res.duplicates],
+    ['Errors', res.errors.length]
+  ];
+}
+
+function bulkAuditDetails(mode, res) {
+  return `mode ${mode}: added ${res.added}, updated ${res.updated}, duplicates ${res.duplicates}, errors ${res.errors.length}`;
+}
+
+// tag narrows the list to accounts carrying that tag
+function listAccountsByMapId(mapId, limit = 250, offset = 0, { tag } = {}) {
   const stmt = db.prepare(`
     SELECT id,
-      COALESCE(label, login, name) AS label,
+      map_id,
+      COALESCE(label, login) AS label,
+      label AS raw_label,
       login,
       password,
+      data,
+      totp_secret IS NOT NULL AS has_totp,
+      claimed_by,
+      claimed_by_name,
+      claimed_at,
+      status,
+      status_reason,
       created_at
     FROM accounts
-    WHERE map_id = ?
+    WHERE map_id = @mapId AND deleted_at IS NULL
+      ${tag ? `AND EXISTS (SELECT 1 FROM json_each(accounts.data, '$.tags') WHERE value = @tag)` : ''}
     ORDER BY label ASC
-    LIMIT ?
+    LIMIT @limit OFFSET @offset
+  `);
+  return stmt.all({ mapId, limit, offset, ...(tag ? { tag: String(tag).toLowerCase() } : {}) });
+}
+function likePattern(query) {
+  // Escape LIKE wildcards so user input only ever matches literally
+  return `%${String(query).replace(/[\\%_]/g, c => '\\' + c)}%`;
+}
+function searchAccounts(query, limit = 25, offset = 0, viewer) {
+  const stmt = db.prepare(`
+    SELECT a.id,
+      COALESCE(a.label, a.login) AS label,
+      a.login,
+      a.status,
+      a.map_id,
+      m.name AS map_name
+    FROM accounts a
+    JOIN maps m ON m.id = a.map_id
+    WHERE (a.login LIKE @q ESCAPE '\\' OR a.label LIKE @q ESCAPE '\\')
+      AND a.deleted_at IS NULL AND m.deleted_at IS NULL AND m.id NOT IN (SELECT value FROM json_each(@hidden)) AND (@guild IS NULL OR m.guild_id = @guild)
+    ORDER BY m.name ASC, label ASC
+    LIMIT @limit OFFSET @offset
+  `);
+  return stmt.all({ q: likePattern(query), limit, offset, ...mapScope(viewer) });
+}
+function countSearchAccounts(query, viewer) {
+  const stmt = db.prepare(`
+    SELECT COUNT(*) AS n FROM accounts a
+    JOIN maps m ON m.id = a.map_id
+    WHERE (a.login LIKE @q ESCAPE '\\' OR a.label LIKE @q ESCAPE '\\')
+      AND a.deleted_at IS NULL AND m.deleted_at IS NULL AND m.id NOT IN (SELECT value FROM json_each(@hidden)) AND (@guild IS NULL OR m.guild_id = @guild)
   `);
-  return stmt.all(mapId, limit);
+  return stmt.get({ q: likePattern(query), ...mapScope(viewer) }).n;
 }
+
+// Account removal moves rows to the trash; purgeAccountById deletes for good
 function removeAccountByLogin({ mapId, login }) {
-  const stmt = db.prepare('DELETE FROM accounts WHERE map_id = ? AND login = ?');
+  const stmt = db.prepare('UPDATE accounts SET deleted_at = CURRENT_TIMESTAMP WHERE map_id = ? AND login = ? AND deleted_at IS NULL');
   return stmt.run(mapId, login.trim());
 }
 function removeAccountById({ id }) {
-  const stmt = db.prepare('DELETE FROM accounts WHERE id = ?');
+  const stmt = db.prepare('UPDATE accounts SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL');
   return stmt.run(id);
 }
-function getAccountById(id) {
+// Hides trashed accounts and accounts whose map is in the trash; with a viewer, also accounts
+// in maps it cannot reach at `level`
+function getAccountById(id, { includeDeleted = false, viewer, level = 'view' } = {}) {
+  const stmt = db.prepare(`
+    SELECT a.id, COALESCE(a.label, a.login) AS label, a.label AS raw_label, a.login, a.password, a.data, a.totp_secret,
+      a.claimed_by, a.claimed_by_name, a.claimed_at, a.status, a.status_reason, a.map_id, a.created_at, a.deleted_at
+    FROM accounts a
+    JOIN maps m ON m.id = a.map_id
+    WHERE a.id = ?${includeDeleted ? '' : ' AND a.deleted_at IS NULL AND m.deleted_at IS NULL'}
+  `);
+  const acc = stmt.get(id);
+  return acc && viewer && !canAccessMap(acc.map_id, viewer, level) ? undefined : acc;
+}
+// Password is only re-encrypted when a new one is given; blank keeps the current value.
+// A replaced password is kept in the history under `actor` (discordActor/webActor).
+function updateAccount({ id, login, label, password, actor }) {
   const stmt = db.prepare(`
-    SELECT id, COALESCE(label, login, name) AS label, login, password, map_id, created_at
-    FROM accounts WHERE id = ?
+    UPDATE accounts
+    SET login = @login,
+        label = @label,
+        password = COALESCE(@password, password)
+    WHERE id = @id
   `);
-  return stmt.get(id);
+  return db.transaction(() => {
+    if (password) recordPasswordChange(id, password, actor);
+    return stmt.run({ id, login, label: label || null, password: password ? encryptSecret(password) : null });
+  })();
 }
 
-function truncate(str, max) {
-  if (!str) return str;
-  return str.length > max ? str.slice(0, max - 1) + '…' : str;
+// ---------- Password history ----------
+function historyLimitForMap(map) {
+  return map?.password_history_limit ?? Number(PASSWORD_HISTORY_LIMIT);
 }
-function mask(pwd) {
-  const s = String(pwd || '');
-  if (!s) return '—';
-  const len = Math.max(6, Math.min(10, s.length));
-  return '•'.repeat(len);
+// Saves the current password before it is replaced by newPassword; no-op when unchanged
+function recordPasswordChange(accountId, newPassword, actor = {}) {
+  const acc = db.prepare('SELECT a.password, m.password_history_limit FROM accounts a JOIN maps m ON m.id = a.map_id WHERE a.id = ?').get(accountId);
+  if (!acc?.password || decryptSecret(acc.password) === newPassword) return;
+  const limit = historyLimitForMap(acc);
+  if (limit > 0) {
+    db.prepare(`
+      INSERT INTO account_password_history (account_id, password, changed_by_source, changed_by, changed_by_name)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(accountId, acc.password, actor.source || null, actor.actor || null, actor.actorName || null);
+  }
+  prunePasswordHistory(accountId, limit);
+}
+function prunePasswordHistory(accountId, limit) {
+  const stmt = db.prepare(`
+    DELETE FROM account_password_history
+    WHERE account_id = @accountId AND id NOT IN (
+      SELECT id FROM account_password_history WHERE account_id = @accountId ORDER BY id DESC LIMIT @limit
+    )
+  `);
+  return stmt.run({ accountId, limit }).changes;
+}
+// Newest first; passwords stay encrypted
+function listPasswordHistory(accountId) {
+  const stmt = db.prepare('SELECT * FROM account_password_history WHERE account_id = ? ORDER BY id DESC');
+  return stmt.all(accountId);
+}
+function getPasswordHistoryEntry(accountId, historyId) {
+  const stmt = db.prepare('SELECT * FROM account_password_history WHERE account_id = ? AND id = ?');
+  return stmt.get(accountId, historyId);
+}
+// The password being replaced goes into the history too, so a restore can itself be undone
+function restorePasswordVersion(accountId, historyId, actor) {
+  const entry = getPasswordHistoryEntry(accountId, historyId);
+  if (!entry) return false;
+  db.transaction(() => {
+    recordPasswordChange(accountId, decryptSecret(entry.password), actor);
+    db.prepare('UPDATE accounts SET password = ? WHERE id = ?').run(entry.password, accountId);
+  })();
+  return true;
+}
+// Applies a lowered map limit to existing history right away
+function pruneMapPasswordHistory(mapId) {
+  const map = getMapById(mapId, { includeDeleted: true });
+  const ids = db.prepare('SELECT id FROM accounts WHERE map_id = ?').all(mapId).map(r => r.id);
+  db.transaction(() => {
+    for (const id of ids) prunePasswordHistory(id, historyLimitForMap(map));
+  })();
+}
+// Throws a UNIQUE constraint error if the login already exists in the target map
+function moveAccountToMap({ id, mapId }) {
+  const stmt = db.prepare('UPDATE accounts SET map_id = ? WHERE id = ?');
+  return stmt.run(mapId, id);
 }
 
-// ---------- Discord Bot: Panel UX ----------
-const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+// ---------- Map-to-map operations (merge, copy, bulk move/copy/delete) ----------
+// A login that already exists in the target map is skipped, or with 'overwrite' gets the source's
+// password (the replaced one goes to its history) and, on a move, the source account is trashed.
+const DUPLICATE_POLICIES = ['skip', 'overwrite'];
+const TRANSFER_MODES = ['move', 'copy'];
+const SELECTED_ACTIONS = [...TRANSFER_MODES, 'delete'];
 
-const commands = [
-  new SlashCommandBuilder()
-    .setName('panel')
-    .setDescription('Open the Account Maps control panel')
-].map(c => c.toJSON());
+function parseDuplicatePolicy(input) {
+  const policy = String(input || 'skip');
+  if (!DUPLICATE_POLICIES.includes(policy)) throw new Error(`Duplicates must be one of: ${DUPLICATE_POLICIES.join(', ')}`);
+  return policy;
+}
 
-async function registerCommands() {
-  const rest = new REST({ version: '10' }).setToken(DISCORD_TOKEN);
-  await rest.put(
-    Routes.applicationGuildCommands(CLIENT_ID, GUILD_ID),
-    { body: commands }
-  );
-  console.log('✅ Slash command /panel registered to guild', GUILD_ID);
+// Copies everything but the claim and the password history
+function copyAccountToMap(acc, mapId) {
+  const id = Number(addAccountToMap({
+    mapId, login: acc.login, password: decryptSecret(acc.password), label: acc.raw_label,
+    data: { ...parseAccountData(acc.data), secret: storedAccountSecret(acc.data) }, totp: accountTotp(acc)
+  }).lastInsertRowid);
+  if (acc.status !== 'active') setAccountStatus(id, acc.status, acc.status_reason);
+  return id;
 }
 
-client.once('ready', () => {
-  console.log(`✅ Logged in as ${client.user.tag}`);
-  console.log(`Web UI: http://localhost:${PORT}`);
-});
+// Moves or copies accounts into targetMapId in one transaction. Ids outside fromMapId (when
+// given) are reported as not found. Returns counts shaped like bulkAddPairs' results.
+function transferAccounts({ ids, fromMapId, targetMapId, mode, duplicates = 'skip', actor }) {
+  if (!TRANSFER_MODES.includes(mode)) throw new Error(`Mode must be one of: ${TRANSFER_MODES.join(', ')}`);
+  const results = { mode, overwrite: parseDuplicatePolicy(duplicates) === 'overwrite', added: 0, updated: 0, duplicates: 0, errors: [], duplicateLines: [] };
+  const findInTarget = db.prepare('SELECT id FROM accounts WHERE map_id = ? AND login = ? AND deleted_at IS NULL');
+  db.transaction(() => {
+    for (const id of ids) {
+      const acc = getAccountById(id);
+      if (!acc || (fromMapId && acc.map_id !== fromMapId)) {
+        results.errors.push({ line: `#${id}`, error: 'Account not found' });
+        continue;
+      }
+      const line = acc.login || acc.label;
+      if (mode === 'move' && acc.map_id === targetMapId) {
+        results.errors.push({ line, error: 'Already in that map' });
+        continue;
+      }
+      const existing = acc.login != null && findInTarget.get(targetMapId, acc.login);
+      if (existing) {
+        const updated = results.overwrite && existing.id !== acc.id &&
+          overwriteAccountPassword({ mapId: targetMapId, login: acc.login, password: decryptSecret(acc.password), actor }).changes > 0;
+        if (updated && mode === 'move') removeAccountById({ id: acc.id });
+        if (updated) results.updated++;
+        else results.duplicates++;
+        results.duplicateLines.push({ line, updated });
+        continue;
+      }
+      if (mode === 'move') moveAccountToMap({ id: acc.id, mapId: targetMapId });
+      else copyAccountToMap(acc, targetMapId);
+      results.added++;
+    }
+  })();
+  return results;
+}
 
-function mainPanel() {
-  const embed = new EmbedBuilder()
-    .setTitle('Account Maps Panel')
-    .setDescription('Manage maps and accounts with clicks. All actions are ephemeral.')
-    .setColor(0x2B7FFF)
-    .addFields(
-      { name: 'Maps', value: '• List • Create • Delete', inline: false },
-      { name: 'Accounts', value: '• Add (user:pass) • Bulk add • Remove • List', inline: false }
-    );
+function activeAccountIds(mapId) {
+  return db.prepare('SELECT id FROM accounts WHERE map_id = ? AND deleted_at IS NULL ORDER BY id').pluck().all(mapId);
+}
 
-  const row1 = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId('maps:list').setLabel('List Maps').setStyle(ButtonStyle.Primary).setEmoji('🗺️'),
-    new ButtonBuilder().setCustomId('map:create').setLabel('Create Map').setStyle(ButtonStyle.Success).setEmoji('➕'),
-    new ButtonBuilder().setCustomId('map:delete').setLabel('Delete Map').setStyle(ButtonStyle.Danger).setEmoji('🗑️')
-  );
+// A new map in the source's server with its description, color, icon, history limit and access
+// list, so copied accounts are never more exposed than the originals
+function createMapLike(source, name) {
+  const id = Number(createMap(name, source.guild_id).lastInsertRowid);
+  updateMap({ id, name, description: source.description, color: source.color, icon: source.icon, historyLimit: source.password_history_limit });
+  setMapAccess(id, listMapAccess(source.id));
+  return id;
+}
 
-  const row2 = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId('acc:add').setLabel('Add Account').setStyle(ButtonStyle.Success).setEmoji('✅'),
-    new ButtonBuilder().setCustomId('acc:bulk').setLabel('Bulk Add').setStyle(ButtonStyle.Primary).setEmoji('📥'),
-    new ButtonBuilder().setCustomId('acc:remove').setLabel('Remove Account').setStyle(ButtonStyle.Secondary).setEmoji('➖'),
-    new ButtonBuilder().setCustomId('acc:list').setLabel('List Accounts').setStyle(ButtonStyle.Primary).setEmoji('📄')
-  );
+// Everything in source moves into target and source goes to the trash, taking any skipped
+// duplicates with it so they can still be restored
+function mergeMaps({ sourceId, targetId, duplicates, actor }) {
+  if (sourceId === targetId) throw new Error('Pick a different map to merge into');
+  return db.transaction(() => {
+    const results = transferAccounts({ ids: activeAccountIds(sourceId), targetMapId: targetId, mode: 'move', duplicates, actor });
+    deleteMapById(sourceId);
+    return results;
+  })();
+}
 
-  return { embeds: [embed], components: [row1, row2] };
+function copyMap({ source, name, actor }) {
+  return db.transaction(() => {
+    const mapId = createMapLike(source, name);
+    return { mapId, results: transferAccounts({ ids: activeAccountIds(source.id), targetMapId: mapId, mode: 'copy', actor }) };
+  })();
 }
 
-function mapsEmbed(maps) {
-  return new EmbedBuilder()
-    .setTitle('Maps')
-    .setColor(0x2B7FFF)
-    .setDescription(
-      maps.length
-        ? maps.map(m => `• ${m.name} (${m.account_count})`).join('\n').slice(0, 4000)
+// Selected accounts of `source` go to targetMapId, or with newMapName are split off into a new
+// map like source
+function transferSelected({ source, ids, mode, targetMapId, newMapName, duplicates, actor }) {
+  return db.transaction(() => {
+    const mapId = newMapName ? createMapLike(source, newMapName) : targetMapId;
+    return { mapId, results: transferAccounts({ ids, fromMapId: source.id, targetMapId: mapId, mode, duplicates, actor }) };
+  })();
+}
+
+function trashAccounts({ ids, fromMapId }) {
+  const results = { deleted: 0, errors: [] };
+  db.transaction(() => {
+    for (const id of ids) {
+      const acc = getAccountById(id);
+      if (acc && acc.map_id === fromMapId && removeAccountById({ id }).changes) results.deleted++;
+      else results.errors.push({ line: `#${id}`, error: 'Account not found' });
+    }
+  })();
+  return results;
+}
+
+// [label, count] pairs for the reports, like bulkSummary
+function transferSummary(res) {
+  return [
+    [res.mode === 'copy' ? 'Copied' : 'Moved', res.added],
+    ...(res.overwrite ? [['Overwritten', res.updated]] : []),
+    [res.overwrite ? 'Duplicates' : 'Duplicates (skipped)', res.duplicates],
+    ['Errors', res.errors.length]
+  ];
+}
+function transferReportRows(res) {
+  return [
+    ...res.duplicateLines.map(d => ({ line: d.line, error: d.updated ? 'Duplicate login, password overwritten' : 'Duplicate login, skipped' })),
+    ...res.errors
+  ];
+}
+function transferAuditDetails(res) {
+  return `${res.mode === 'copy' ? 'copied' : 'moved'} ${res.added}, overwritten ${res.updated}, duplicates ${res.duplicates}, errors ${res.errors.length}`;
+}
+
+// ---------- Trash ----------
+// Accounts inside a trashed map are listed through the map, not one by one.
+function listTrash(limit = 25, offset = 0, viewer) {
+  const stmt = db.prepare(`
+    SELECT * FROM (
+      SELECT 'map' AS kind, m.id, m.id AS map_id, m.name AS label, NULL AS login, NULL AS map_name, m.deleted_at,
+        (SELECT COUNT(*) FROM accounts a WHERE a.map_id = m.id AND a.deleted_at IS NULL) AS account_count
+      FROM maps m
+      WHERE m.deleted_at IS NOT NULL AND m.id NOT IN (SELECT value FROM json_each(@hidden)) AND (@guild IS NULL OR m.guild_id = @guild)
+      UNION ALL
+      SELECT 'account' AS kind, a.id, a.map_id, COALESCE(a.label, a.login) AS label, a.login, m.name AS map_name, a.deleted_at,
+        NULL AS account_count
+      FROM accounts a
+      JOIN maps m ON m.id = a.map_id
+      WHERE a.deleted_at IS NOT NULL AND m.deleted_at IS NULL AND m.id NOT IN (SELECT value FROM json_each(@hidden)) AND (@guild IS NULL OR m.guild_id = @guild)
+    )
+    ORDER BY deleted_at DESC, kind ASC, id DESC
+    LIMIT @limit OFFSET @offset
+  `);
+  return stmt.all({ limit, offset, ...mapScope(viewer) });
+}
+function countTrash(viewer) {
+  return db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM maps WHERE deleted_at IS NOT NULL AND id NOT IN (SELECT value FROM json_each(@hidden)) AND (@guild IS NULL OR guild_id = @guild)) +
+      (SELECT COUNT(*) FROM accounts a JOIN maps m ON m.id = a.map_id
+        WHERE a.deleted_at IS NOT NULL AND m.deleted_at IS NULL AND m.id NOT IN (SELECT value FROM json_each(@hidden)) AND (@guild IS NULL OR m.guild_id = @guild)) AS n
+  `).get(mapScope(viewer)).n;
+}
+function getTrashedAccountById(id) {
+  return db.prepare(`
+    SELECT a.id, COALESCE(a.label, a.login) AS label, a.login, a.map_id, a.deleted_at
+    FROM accounts a WHERE a.id = ? AND a.deleted_at IS NOT NULL
+  `).get(id);
+}
+function getTrashedMapById(id) {
+  return db.prepare('SELECT * FROM maps WHERE id = ? AND deleted_at IS NOT NULL').get(id);
+}
+// Restoring an account throws a UNIQUE error if its login was re-added meanwhile
+function restoreMapById(id) {
+  return db.prepare('UPDATE maps SET deleted_at = NULL WHERE id = ?').run(id);
+}
+function restoreAccountById(id) {
+  return db.prepare('UPDATE accounts SET deleted_at = NULL WHERE id = ?').run(id);
+}
+function purgeMapById(id) {
+  return db.prepare('DELETE FROM maps WHERE id = ? AND deleted_at IS NOT NULL').run(id);
+}
+function purgeAccountById(id) {
+  return db.prepare('DELETE FROM accounts WHERE id = ? AND deleted_at IS NOT NULL').run(id);
+}
+// TRASH_RETENTION_DAYS=0 turns automatic purging off; items then stay until purged by hand
+const trashRetentionDays = Number(TRASH_RETENTION_DAYS);
+function trashRetentionText() {
+  return trashRetentionDays > 0 ? `purged automatically ${trashRetentionDays} days after deletion` : 'never purged automatically';
+}
+function purgeExpiredTrash(days = trashRetentionDays) {
+  if (!(days > 0)) return { maps: 0, accounts: 0 };
+  const cutoff = `-${days} days`;
+  return db.transaction(() => ({
+    maps: db.prepare(`DELETE FROM maps WHERE deleted_at IS NOT NULL AND deleted_at < datetime('now', ?)`).run(cutoff).changes,
+    accounts: db.prepare(`DELETE FROM accounts WHERE deleted_at IS NOT NULL AND deleted_at < datetime('now', ?)`).run(cutoff).changes
+  }))();
+}
+
+// ---------- Claims ----------
+// claimed_by is "<source>:<actor>" so the same person is recognised on re-claim;
+// claims older than CLAIM_TIMEOUT_HOURS (0 = never) count as free and are swept hourly.
+const claimTimeoutHours = Number(CLAIM_TIMEOUT_HOURS);
+const CLAIM_IS_FREE = claimTimeoutHours > 0
+  ? `(claimed_by IS NULL OR claimed_at < datetime('now', '-${claimTimeoutHours} hours'))`
+  : 'claimed_by IS NULL';
+
+function claimant({ source, actor, actorName }) {
+  return { claimedBy: `${source}:${actor}`, claimedByName: source === 'web' ? actor : actorName };
+}
+// Returns false when someone else holds a live claim
+function claimAccount(id, who) {
+  const { claimedBy, claimedByName } = claimant(who);
+  const stmt = db.prepare(`
+    UPDATE accounts SET claimed_by = @claimedBy, claimed_by_name = @claimedByName, claimed_at = CURRENT_TIMESTAMP
+    WHERE id = @id AND deleted_at IS NULL AND (${CLAIM_IS_FREE} OR claimed_by = @claimedBy)
+  `);
+  return stmt.run({ id, claimedBy, claimedByName }).changes > 0;
+}
+// Like claimAccount, false when someone else holds a live claim; `force` (modify access on the
+// map, which admins always have) releases anyone's claim
+function releaseAccount(id, who, { force = false } = {}) {
+  const { claimedBy } = claimant(who);
+  const stmt = db.prepare(`
+    UPDATE accounts SET claimed_by = NULL, claimed_by_name = NULL, claimed_at = NULL
+    WHERE id = @id AND (@force OR ${CLAIM_IS_FREE} OR claimed_by = @claimedBy)
+  `);
+  return stmt.run({ id, claimedBy, force: force ? 1 : 0 }).changes > 0;
+}
+// Picks and claims an active account in one statement, so two people can never get the same one
+function claimFreeAccount(mapId, who) {
+  const { claimedBy, claimedByName } = claimant(who);
+  const row = db.prepare(`
+    UPDATE accounts SET claimed_by = @claimedBy, claimed_by_name = @claimedByName, claimed_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM accounts
+      WHERE map_id = @mapId AND deleted_at IS NULL AND status = 'active' AND ${CLAIM_IS_FREE}
+      ORDER BY claimed_at IS NOT NULL, claimed_at ASC, RANDOM()
+      LIMIT 1
+    )
+    RETURNING id
+  `).get({ mapId, claimedBy, claimedByName });
+  return row ? getAccountById(row.id) : null;
+}
+function releaseStaleClaims() {
+  if (!(claimTimeoutHours > 0)) return 0;
+  const stmt = db.prepare(`
+    UPDATE accounts SET claimed_by = NULL, claimed_by_name = NULL, claimed_at = NULL
+    WHERE claimed_by IS NOT NULL AND claimed_at < datetime('now', ?)
+  `);
+  return stmt.run(`-${claimTimeoutHours} hours`).changes;
+}
+function isClaimActive(acc) {
+  if (!acc.claimed_by) return false;
+  return !(claimTimeoutHours > 0) || sqliteDate(acc.claimed_at).getTime() > Date.now() - claimTimeoutHours * 3600 * 1000;
+}
+
+// ---------- Export / import ----------
+// Exports hold plaintext passwords; pass a passphrase to wrap them in an
+// scrypt + AES-256-GCM envelope instead.
+const EXPORT_VERSION = 1;
+const ENCRYPTED_EXPORT_FORMAT = 'accountmaps-encrypted';
+// CSV carries the same account data as JSON: tags as a comma list, fields as "key: value" lines
+const CSV_COLUMNS = ['map', 'label', 'login', 'password', 'created_at', 'status', 'status_reason', 'notes', 'tags', 'fields', 'totp', 'secret'];
+
+// Exports carry passwords, so a viewer only gets the maps it may reveal
+function exportMaps({ mapId, viewer } = {}) {
+  const maps = mapId ? [getMapById(mapId, { viewer, level: 'reveal' })].filter(Boolean) : listMapsWithCounts(viewer, 'reveal');
+  const accountsStmt = db.prepare(`
+    SELECT label, login, password, data, totp_secret, status, status_reason, created_at FROM accounts
+    WHERE map_id = ? AND deleted_at IS NULL
+    ORDER BY COALESCE(label, login) ASC
+  `);
+  return {
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    maps: maps.map(m => ({
+      name: m.name,
+      description: m.description || null,
+      color: m.color || null,
+      icon: m.icon || null,
+      accounts: accountsStmt.all(m.id).map(a => ({
+        label: a.label,
+        login: a.login,
+        password: decryptSecret(a.password),
+        created_at: a.created_at,
+        ...parseAccountData(a.data),
+        ...(storedAccountSecret(a.data) ? { secret: accountSecret(a) } : {}),
+        totp: a.totp_secret ? decryptSecret(a.totp_secret) : null,
+        status: a.status,
+        status_reason: a.status_reason
+      }))
+    }))
+  };
+}
+
+function csvField(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
+
+function serializeExport(data, format) {
+  if (format === 'csv') {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const m of data.maps) {
+      for (const a of m.accounts) {
+        lines.push([
+          m.name, a.label, a.login, a.password, a.created_at, a.status, a.status_reason,
+          a.notes, a.tags.join(','), formatCustomFields(a.fields), a.totp, a.secret
+        ].map(csvField).join(','));
+      }
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+  return JSON.stringify(data, null, 2);
+}
+
+function encryptExport(content, format, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(String(passphrase), salt, 32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(content, 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    format: ENCRYPTED_EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    content_format: format,
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  }, null, 2);
+}
+function decryptExport(envelope, passphrase) {
+  if (!passphrase) throw new Error('This export is encrypted: a passphrase is required');
+  const key = crypto.scryptSync(String(passphrase), Buffer.from(envelope.salt, 'base64'), 32);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (_) {
+    throw new Error('Wrong passphrase or corrupted export');
+  }
+}
+
+// Returns { filename, content } ready to send as a download or attachment
+function buildExportFile({ mapId, format = 'json', passphrase, viewer } = {}) {
+  const data = exportMaps({ mapId, viewer });
+  const content = serializeExport(data, format);
+  const scope = mapId && data.maps[0] ? data.maps[0].name.replace(/[^\w-]+/g, '_').slice(0, 40) : 'all-maps';
+  const stamp = data.exported_at.slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+  const base = `accounts-${scope}-${stamp}`;
+  if (passphrase) return { filename: `${base}.${format}.enc.json`, content: encryptExport(content, format, passphrase), data };
+  return { filename: `${base}.${format}`, content, data };
+}
+
+// Accepts our JSON export, its encrypted envelope, or the CSV layout
+function parseExportFile(text, { passphrase } = {}) {
+  const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (!trimmed) throw new Error('The file is empty');
+  if (trimmed.startsWith('{')) {
+    let parsed;
+    try { parsed = JSON.parse(trimmed); } catch (_) { throw new Error('Invalid JSON'); }
+    if (parsed.format === ENCRYPTED_EXPORT_FORMAT) return parseExportFile(decryptExport(parsed, passphrase));
+    if (!Array.isArray(parsed.maps)) throw new Error('JSON export has no "maps" list');
+    return parsed;
+  }
+  const [header, ...rows] = parseCSV(trimmed);
+  const cols = header.map(h => h.trim().toLowerCase());
+  const idx = Object.fromEntries(CSV_COLUMNS.map(c => [c, cols.indexOf(c)]));
+  if (idx.map < 0 || idx.login < 0 || idx.password < 0) throw new Error('CSV needs map, login and password columns');
+  const byName = new Map();
+  for (const r of rows) {
+    const name = String(r[idx.map] || '').trim();
+    // Older exports lack the later columns
+    const cell = c => (idx[c] >= 0 ? r[idx[c]] : null);
+    if (!byName.has(name.toLowerCase())) byName.set(name.toLowerCase(), { name, accounts: [] });
+    byName.get(name.toLowerCase()).accounts.push({
+      label: cell('label'),
+      login: r[idx.login],
+      password: r[idx.password],
+      created_at: cell('created_at'),
+      status: cell('status'),
+      status_reason: cell('status_reason'),
+      notes: cell('notes'),
+      tags: cell('tags'),
+      fields: cell('fields'),
+      totp: cell('totp'),
+      secret: cell('secret')
+    });
+  }
+  return { version: EXPORT_VERSION, maps: [...byName.values()] };
+}
+
+// Only a real date in SQLite's "YYYY-MM-DD HH:MM:SS" (UTC) form is kept, since sqliteDate()
+// reads created_at that way; anything else makes the account look created now
+function importedTimestamp(value) {
+  const s = String(value ?? '').trim();
+  if (!/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(s)) return null;
+  const d = sqliteDate(s);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 19).replace('T', ' ') === s ? s : null;
+}
+
+// Creates missing maps in the viewer's server and merges accounts into existing ones, in one
+// transaction; the viewer may only merge into maps it can modify
+function importMaps(data, viewer) {
+  const results = { mapsCreated: 0, mapsMerged: 0, added: 0, duplicates: 0, errors: [] };
+  const tx = db.transaction(() => {
+    for (const m of data.maps || []) {
+      const name = String(m.name || '').trim();
+      if (!name) {
+        results.errors.push({ line: '(map without a name)', error: 'Map name is required' });
+        continue;
+      }
+      let map = getMapByName(name, viewer?.guildId);
+      if (map?.deleted_at) {
+        results.errors.push({ line: name, error: 'A map with this name is in the trash' });
+        continue;
+      }
+      if (map && viewer && !canAccessMap(map.id, viewer, 'modify')) {
+        results.errors.push({ line: name, error: 'You cannot add accounts to this map' });
+        continue;
+      }
+      if (map) {
+        results.mapsMerged++;
+      } else {
+        const id = Number(createMap(name, viewer?.guildId).lastInsertRowid);
+        try {
+          updateMap({ id, name, description: m.description, color: m.color, icon: m.icon });
+        } catch (_) {
+          // Bad color/icon metadata shouldn't block the accounts themselves
+        }
+        map = getMapById(id);
+        results.mapsCreated++;
+      }
+      for (const a of m.accounts || []) {
+        const login = String(a.login || '').trim();
+        const password = String(a.password || '');
+        if (!login || !password) {
+          results.errors.push({ line: `${name}: ${login || '(no login)'}`, error: 'Both login and password are required' });
+          continue;
+        }
+        try {
+          const data = { ...buildAccountData({ notes: a.notes, tags: a.tags, fields: a.fields }), secret: a.secret ? encryptSecret(String(a.secret)) : null };
+          const totp = a.totp ? parseTotp(a.totp) : null;
+          const status = a.status ? parseStatus(a.status) : 'active';
+          const res = addAccountToMap({ mapId: map.id, login, password, label: String(a.label || '').trim() || null, createdAt: importedTimestamp(a.created_at), data, totp });
+          if (status !== 'active') setAccountStatus(Number(res.lastInsertRowid), status, a.status_reason);
+          results.added++;
+        } catch (e) {
+          if (String(e.message).includes('UNIQUE')) results.duplicates++;
+          else results.errors.push({ line: `${name}: ${login}`, error: e.message });
+        }
+      }
+    }
+  });
+  tx();
+  return results;
+}
+
+// ---------- Audit log ----------
+// Map/account names are copied into each entry so they stay readable after deletes.
+const AUDIT_ACTIONS = [
+  'map.create', 'map.edit', 'map.delete', 'map.restore', 'map.purge', 'map.access', 'map.merge', 'map.copy',
+  'account.add', 'account.bulk_add', 'account.edit', 'account.move', 'account.remove', 'account.delete', 'account.reveal',
+  'account.totp', 'account.claim', 'account.release', 'account.claim_expired', 'account.status',
+  'account.password_restore', 'account.bulk_move', 'account.bulk_copy', 'account.bulk_delete',
+  'account.restore', 'account.purge', 'trash.auto_purge',
+  'data.export', 'data.import', 'data.backup',
+  'token.create', 'token.revoke'
+];
+const AUDIT_SOURCES = ['discord', 'web', 'api', 'system'];
+
+function discordActor(interaction) {
+  return { source: 'discord', actor: interaction.user.id, actorName: interaction.user.tag, guildId: interaction.guildId };
+}
+function webActor(req) {
+  return { source: 'web', actor: req.webUser, actorName: `${req.webUser} (${req.ip})`, guildId: req.guildId };
+}
+function apiActor(req) {
+  return { source: 'api', actor: `token:${req.apiToken.id}`, actorName: req.apiToken.name, guildId: req.apiToken.guild_id };
+}
+
+// System jobs log without a server unless the entry is about a map
+function logAudit({ source, actor, actorName, guildId, action, map, account, details }) {
+  const mapId = map?.id ?? account?.map_id ?? null;
+  const entry = {
+    guild_id: guildId || map?.guild_id || (mapId ? mapGuildId(mapId) : null) || null,
+    source,
+    actor: String(actor),
+    actor_name: actorName || null,
+    action,
+    map_id: mapId,
+    map_name: map?.name ?? null,
+    account_id: account?.id ?? null,
+    account_login: account?.login ?? null,
+    details: details || null
+  };
+  try {
+    db.prepare(`
+      INSERT INTO audit_log (guild_id, source, actor, actor_name, action, map_id, map_name, account_id, account_login, details)
+      VALUES (@guild_id, @source, @actor, @actor_name, @action, @map_id, @map_name, @account_id, @account_login, @details)
+    `).run(entry);
+  } catch (e) {
+    // Never let auditing break the action being audited
+    console.error('Failed to write audit log:', e);
+  }
+  mirrorAuditToChannel(entry);
+}
+
+// action may also be a group like "account.*"; hiddenMaps is hiddenMapIds() of the reader.
+// With guildId, entries of other servers are left out (server-less system entries show everywhere).
+function auditWhere({ action, source, actor, hiddenMaps, guildId }) {
+  const clauses = [];
+  const params = {};
+  if (guildId !== undefined) { clauses.push('(guild_id IS NULL OR guild_id = @guildId)'); params.guildId = guildId || ''; }
+  if (hiddenMaps) { clauses.push('(map_id IS NULL OR map_id NOT IN (SELECT value FROM json_each(@hiddenMaps)))'); params.hiddenMaps = hiddenMaps; }
+  if (action?.endsWith('.*')) { clauses.push('action LIKE @action'); params.action = `${action.slice(0, -1)}%`; }
+  else if (action) { clauses.push('action = @action'); params.action = action; }
+  if (source) { clauses.push('source = @source'); params.source = source; }
+  if (actor) { clauses.push('(actor = @actor OR actor_name LIKE @actorLike)'); params.actor = actor; params.actorLike = `%${actor}%`; }
+  return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+function listAuditLog(filters = {}, { limit = 50, offset = 0 } = {}) {
+  const { sql, params } = auditWhere(filters);
+  return db.prepare(`SELECT * FROM audit_log ${sql} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit, offset });
+}
+function countAuditLog(filters = {}) {
+  const { sql, params } = auditWhere(filters);
+  return db.prepare(`SELECT COUNT(*) AS n FROM audit_log ${sql}`).get(params).n;
+}
+
+function auditGroups() {
+  return [...new Set(AUDIT_ACTIONS.map(a => a.split('.')[0]))].map(g => `${g}.*`);
+}
+
+function sqliteDate(value) {
+  // SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+  return new Date(String(value).replace(' ', 'T') + 'Z');
+}
+
+function truncate(str, max) {
+  if (!str) return str;
+  return str.length > max ? str.slice(0, max - 1) + '…' : str;
+}
+function mask(pwd) {
+  const s = String(pwd || '');
+  if (!s) return '—';
+  const len = Math.max(6, Math.min(10, s.length));
+  return '•'.repeat(len);
+}
+// Old passwords are never decrypted for display, so not even their length leaks
+const MASKED_OLD_PASSWORD = '••••••••';
+
+// ---------- API tokens ----------
+// Only a SHA-256 of each token is stored; the token itself is shown once, on creation.
+const API_SCOPES = ['read', 'write'];
+const API_TOKEN_PREFIX = 'amk_';
+const API_TOKEN_NAME_MAX_LENGTH = 50;
+
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+// A token only reaches the maps of the server it was created for
+function createApiToken({ name, scope, createdBy, guildId }) {
+  const cleanName = String(name || '').trim();
+  if (!cleanName) throw new Error('Token name is required');
+  if (cleanName.length > API_TOKEN_NAME_MAX_LENGTH) throw new Error(`Token name can be at most ${API_TOKEN_NAME_MAX_LENGTH} characters`);
+  if (!API_SCOPES.includes(scope)) throw new Error(`Scope must be one of: ${API_SCOPES.join(', ')}`);
+  if (!guildId) throw new Error('No Discord server selected');
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const result = db.prepare(`
+    INSERT INTO api_tokens (name, token_hash, token_hint, scope, created_by, guild_id) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(cleanName, hashApiToken(token), token.slice(-4), scope, createdBy, guildId);
+  return { id: Number(result.lastInsertRowid), name: cleanName, scope, token };
+}
+// Tokens of one server; without createdBy, every user's
+function listApiTokens({ guildId, createdBy = null }) {
+  const stmt = db.prepare(`
+    SELECT id, name, token_hint, scope, created_by, created_at, last_used_at, revoked_at FROM api_tokens
+    WHERE guild_id = @guildId AND (@createdBy IS NULL OR created_by = @createdBy)
+    ORDER BY revoked_at IS NOT NULL, id DESC
+  `);
+  return stmt.all({ guildId: guildId || '', createdBy });
+}
+function getApiTokenById(id) {
+  return db.prepare('SELECT * FROM api_tokens WHERE id = ?').get(id);
+}
+function revokeApiToken(id) {
+  const stmt = db.prepare('UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL');
+  return stmt.run(id).changes > 0;
+}
+// Looks up a live token by its plaintext and stamps last_used_at
+function findApiToken(token) {
+  const row = db.prepare('SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL').get(hashApiToken(token));
+  if (row) db.prepare('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.id);
+  return row || null;
+}
+
+// ---------- Discord access control ----------
+// READ_ROLE_IDS may only browse; ALLOWED_ROLE_IDS may also add/create.
+// Reveal and delete need DESTRUCTIVE_ROLE_IDS when set, otherwise ALLOWED_ROLE_IDS.
+// ADMIN_ROLE_IDS (default: the reveal/delete roles) manage per-map access and bypass it.
+function parseIdList(str) {
+  return String(str || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+const roleIds = {
+  read: parseIdList(READ_ROLE_IDS),
+  allowed: parseIdList(ALLOWED_ROLE_IDS),
+  destructive: parseIdList(DESTRUCTIVE_ROLE_IDS),
+  admin: parseIdList(ADMIN_ROLE_IDS)
+};
+if (!roleIds.read.length && !roleIds.allowed.length && !roleIds.destructive.length) {
+  console.warn('⚠️ No ALLOWED_ROLE_IDS / READ_ROLE_IDS / DESTRUCTIVE_ROLE_IDS set: the Discord panel will deny everyone');
+}
+
+const READ_ACTIONS = [
+  'panel:home', 'maps:list', 'maps:refresh', 'acc:list', 'maps:accounts:select', 'acc:detail:select:', 'acc:view:', 'acc:history:view:',
+  'audit:', 'search:', 'trash:view:', 'trash:select'
+];
+const WRITE_ACTIONS = [
+  'map:create', 'map:edit', 'maps:edit:', 'acc:add', 'acc:bulk', 'acc:edit', 'acc:data', 'acc:move', 'acc:status:',
+  'acc:claim:', 'acc:release:', 'acc:history:restore:', 'trash:restore:'
+];
+// acc:free hands out a password, so it sits with reveal
+const DESTRUCTIVE_ACTIONS = ['map:delete', 'maps:delete:', 'acc:remove', 'acc:reveal:', 'acc:totp:', 'acc:free:', 'acc:delete:', 'trash:purge:'];
+const ADMIN_ACTIONS = ['map:access', 'maps:access:', 'backups:'];
+
+// Unknown actions fall through to 'destructive' so new buttons fail closed
+// Slash commands by "<name>" or "<name> <subcommand>"; exports carry plaintext passwords
+const COMMAND_ACCESS = {
+  panel: 'read',
+  search: 'read',
+  'maps export': 'destructive',
+  'maps import': 'write',
+  import: 'write'
+};
+
+function requiredAccess(interaction) {
+  if (interaction.isChatInputCommand()) {
+    const sub = interaction.options.getSubcommand(false);
+    return COMMAND_ACCESS[[interaction.commandName, sub].filter(Boolean).join(' ')] || 'destructive';
+  }
+  return customIdAccess(interaction.customId || '');
+}
+function customIdAccess(id) {
+  if (ADMIN_ACTIONS.some(a => id.startsWith(a))) return 'admin';
+  if (READ_ACTIONS.some(a => id.startsWith(a))) return 'read';
+  if (WRITE_ACTIONS.some(a => id.startsWith(a))) return 'write';
+  return 'destructive';
+}
+
+function memberRoleIds(member) {
+  if (!member) return [];
+  // Cached GuildMember exposes a RoleManager, raw API members an array of IDs
+  return Array.isArray(member.roles) ? member.roles : [...member.roles.cache.keys()];
+}
+
+function hasAccess(member, level) {
+  const roles = memberRoleIds(member);
+  const any = list => list.some(id => roles.includes(id));
+  const destructive = roleIds.destructive.length ? roleIds.destructive : roleIds.allowed;
+  if (level === 'admin') return any(roleIds.admin.length ? roleIds.admin : destructive);
+  if (level === 'destructive') return any(destructive);
+  if (level === 'write') return any(roleIds.allowed) || any(roleIds.destructive);
+  return any(roleIds.read) || any(roleIds.allowed) || any(roleIds.destructive);
+}
+
+const ACCESS_DENIED = {
+  read: '⛔ You need an allowed role to use this panel.',
+  write: '⛔ Your role can only view maps and accounts.',
+  destructive: '⛔ Revealing passwords and deleting require an elevated role.',
+  admin: '⛔ Only admins can manage map access and backups.'
+};
+
+// Who is asking, for per-map access checks. `tiers` holds the role tiers the member has, so
+// views only offer buttons the member's role may press.
+function discordViewer(interaction) {
+  const tiers = Object.fromEntries(Object.keys(ACCESS_DENIED).map(level => [level, hasAccess(interaction.member, level)]));
+  return { admin: tiers.admin, tiers, roles: memberRoleIds(interaction.member), user: null, guildId: interaction.guildId };
+}
+function viewerMayUse(viewer, customId) {
+  return Boolean(viewer.tiers?.[customIdAccess(customId)]);
+}
+
+// ---------- Discord Bot: Panel UX ----------
+const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+
+// Largest export file accepted for import, from Discord or the web
+const IMPORT_MAX_BYTES = 10 * 1024 * 1024;
+
+// Search queries travel inside page button customIds, which Discord caps at 100 chars
+const SEARCH_MAX_LENGTH = 60;
+
+const commands = [
+  new SlashCommandBuilder()
+    .setName('panel')
+    .setDescription('Open the Account Maps control panel'),
+  new SlashCommandBuilder()
+    .setName('search')
+    .setDescription('Search accounts in every map by login or label')
+    .addStringOption(o => o.setName('query').setDescription('Part of a login or label').setRequired(true).setMaxLength(SEARCH_MAX_LENGTH)),
+  new SlashCommandBuilder()
+    .setName('maps')
+    .setDescription('Export or import maps with their accounts')
+    .addSubcommand(sc => sc
+      .setName('export')
+      .setDescription('Export one map or all maps as a file (includes passwords)')
+      .addStringOption(o => o.setName('format').setDescription('File format').addChoices(
+        { name: 'JSON', value: 'json' },
+        { name: 'CSV', value: 'csv' }
+      ))
+      .addStringOption(o => o.setName('map').setDescription('Map name (default: all maps)').setMaxLength(64))
+      .addStringOption(o => o.setName('passphrase').setDescription('Encrypt the export with this passphrase').setMaxLength(200)))
+    .addSubcommand(sc => sc
+      .setName('import')
+      .setDescription('Import a JSON/CSV export, creating or merging maps')
+      .addAttachmentOption(o => o.setName('file').setDescription('Export file').setRequired(true))
+      .addStringOption(o => o.setName('passphrase').setDescription('Passphrase for an encrypted export').setMaxLength(200))),
+  new SlashCommandBuilder()
+    .setName('import')
+    .setDescription('Bulk add login:password pairs from a .txt or .csv file')
+    .addStringOption(o => o.setName('map').setDescription('Map name').setRequired(true).setMaxLength(64))
+    .addAttachmentOption(o => o.setName('file').setDescription('.txt with login:password lines or .csv with login,password rows').setRequired(true))
+    .addStringOption(o => o.setName('mode').setDescription('What to do with the pairs (default: add)').addChoices(
+      { name: 'Add, skip duplicates', value: 'add' },
+      { name: 'Preview only', value: 'preview' },
+      { name: 'Add, overwrite duplicate passwords', value: 'overwrite' }
+    ))
+].map(c => c.toJSON());
+
+// COMMANDS_SCOPE=guild registers per server (instant) once the bot is ready and whenever it is
+// invited somewhere new; global registrations cover every server but take a while to show up
+async function registerCommands(guildIds = []) {
+  const rest = new REST({ version: '10' }).setToken(DISCORD_TOKEN);
+  const names = commands.map(c => '/' + c.name).join(', ');
+  if (COMMANDS_SCOPE === 'global') {
+    await rest.put(Routes.applicationCommands(CLIENT_ID), { body: commands });
+    console.log(`✅ Slash commands ${names} registered globally`);
+    return;
+  }
+  for (const guildId of guildIds) {
+    await rest.put(Routes.applicationGuildCommands(CLIENT_ID, guildId), { body: commands });
+    console.log(`✅ Slash commands ${names} registered to guild`, guildId);
+  }
+}
+
+client.once('ready', () => {
+  console.log(`✅ Logged in as ${client.user.tag} in ${client.guilds.cache.size} server(s)`);
+  console.log(`Web UI: ${WEB_URL}`);
+  if (COMMANDS_SCOPE === 'guild') {
+    registerCommands([...client.guilds.cache.keys()]).catch(e => console.error('Failed to register slash commands:', e));
+  }
+});
+client.on('guildCreate', (guild) => {
+  console.log(`➕ Joined server ${guild.name} (${guild.id})`);
+  if (COMMANDS_SCOPE === 'guild') {
+    registerCommands([guild.id]).catch(e => console.error(`Failed to register slash commands in ${guild.id}:`, e));
+  }
+});
+
+function describeAudit(e) {
+  const who = e.source === 'discord' ? `<@${e.actor}>` : `${e.source === 'api' ? '🔑' : '🌐'} ${e.actor_name || e.actor}`;
+  const target = [e.map_name, e.account_login].filter(Boolean).join(' / ');
+  return `${who} \`${e.action}\`${target ? ` — ${target}` : ''}${e.details ? ` (${e.details})` : ''}`;
+}
+
+// Only entries of the channel's own server are mirrored, so one server never sees another's activity
+function mirrorAuditToChannel(entry) {
+  if (!AUDIT_CHANNEL_ID || !client.isReady()) return;
+  client.channels.fetch(AUDIT_CHANNEL_ID)
+    .then(ch => {
+      if (!ch || (entry.guild_id && ch.guildId !== entry.guild_id)) return;
+      return ch.send({ content: truncate(describeAudit(entry), 2000), allowedMentions: { parse: [] } });
+    })
+    .catch(e => console.error('Failed to mirror audit entry:', e.message));
+}
+
+function mainPanel(viewer) {
+  const embed = new EmbedBuilder()
+    .setTitle('Account Maps Panel')
+    .setDescription('Manage maps and accounts with clicks. All actions are ephemeral.')
+    .setColor(0x2B7FFF)
+    .addFields(
+      { name: 'Maps', value: '• List • Create • Edit (rename, description, color, icon) • Delete', inline: false },
+      { name: 'Accounts', value: '• Add (user:pass) • Bulk add • Remove • List • Search', inline: false },
+      { name: 'Audit', value: '• Who revealed, added or deleted what', inline: false },
+      { name: 'Trash', value: `• Restore or purge deleted items (${trashRetentionText()})`, inline: false }
+    );
+
+  const row1 = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('maps:list').setLabel('List Maps').setStyle(ButtonStyle.Primary).setEmoji('🗺️'),
+    new ButtonBuilder().setCustomId('map:create').setLabel('Create Map').setStyle(ButtonStyle.Success).setEmoji('➕'),
+    new ButtonBuilder().setCustomId('map:edit').setLabel('Edit Map').setStyle(ButtonStyle.Secondary).setEmoji('✏️'),
+    new ButtonBuilder().setCustomId('map:delete').setLabel('Delete Map').setStyle(ButtonStyle.Danger).setEmoji('🗑️')
+  );
+
+  const row2 = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('acc:add').setLabel('Add Account').setStyle(ButtonStyle.Success).setEmoji('✅'),
+    new ButtonBuilder().setCustomId('acc:bulk').setLabel('Bulk Add').setStyle(ButtonStyle.Primary).setEmoji('📥'),
+    new ButtonBuilder().setCustomId('acc:remove').setLabel('Remove Account').setStyle(ButtonStyle.Secondary).setEmoji('➖'),
+    new ButtonBuilder().setCustomId('acc:list').setLabel('List Accounts').setStyle(ButtonStyle.Primary).setEmoji('📄'),
+    new ButtonBuilder().setCustomId('search:open').setLabel('Search').setStyle(ButtonStyle.Secondary).setEmoji('🔎')
+  );
+
+  const row3 = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('audit:view:all:0').setLabel('Audit').setStyle(ButtonStyle.Secondary).setEmoji('📜'),
+    new ButtonBuilder().setCustomId('trash:view:0').setLabel('Trash').setStyle(ButtonStyle.Secondary).setEmoji('♻️'),
+    ...(viewer?.admin ? [
+      new ButtonBuilder().setCustomId('map:access').setLabel('Map Access').setStyle(ButtonStyle.Secondary).setEmoji('🛡️'),
+      new ButtonBuilder().setCustomId('backups:view').setLabel('Backups').setStyle(ButtonStyle.Secondary).setEmoji('💾')
+    ] : [])
+  );
+
+  return { embeds: [embed], components: [row1, row2, row3] };
+}
+
+// Discord caps select menus at 25 options, so every paged view uses that page size
+const PAGE_SIZE = 25;
+
+function pageCount(total, size = PAGE_SIZE) {
+  return Math.max(1, Math.ceil(total / size));
+}
+function clampPage(page, pages) {
+  return Math.min(Math.max(0, Number(page) || 0), pages - 1);
+}
+function pagerButtons(page, pages, idFor) {
+  return [
+    new ButtonBuilder().setCustomId(idFor(page - 1)).setLabel('Previous').setStyle(ButtonStyle.Secondary).setEmoji('◀️').setDisabled(page <= 0),
+    new ButtonBuilder().setCustomId(idFor(page + 1)).setLabel('Next').setStyle(ButtonStyle.Secondary).setEmoji('▶️').setDisabled(page >= pages - 1)
+  ];
+}
+
+function mapsEmbed(maps, page = 0) {
+  const pages = pageCount(maps.length);
+  const shown = maps.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+  return new EmbedBuilder()
+    .setTitle(`Maps (page ${page + 1}/${pages})`)
+    .setColor(0x2B7FFF)
+    .setDescription(
+      shown.length
+        ? shown.map(m => `• ${mapDisplayName(m)} — ${formatMapCounts(m)}${m.description ? ` — ${truncate(m.description, 80)}` : ''}`).join('\n').slice(0, 4000)
         : 'No maps yet. Click "Create Map".'
     );
 }
 
-function accountsEmbed(map, accounts) {
+function mapsListView(page, viewer) {
+  const maps = listMapsWithCounts(viewer);
+  const pages = pageCount(maps.length);
+  page = clampPage(page, pages);
+  return {
+    content: '',
+    embeds: [mapsEmbed(maps, page)],
+    components: [backRow([
+      ...pagerButtons(page, pages, p => `maps:list:page:${p}`),
+      new ButtonBuilder().setCustomId(`maps:refresh:${page}`).setLabel('Refresh').setStyle(ButtonStyle.Secondary).setEmoji('🔄')
+    ])]
+  };
+}
+
+function claimText(acc) {
+  return `${acc.claimed_by_name} <t:${Math.floor(sqliteDate(acc.claimed_at).getTime() / 1000)}:R>`;
+}
+function claimBadge(acc) {
+  return isClaimActive(acc) ? ` — 🔒 ${claimText(acc)}` : '';
+}
+
+function accountsEmbed(map, accounts, page = 0, pages = 1) {
   return new EmbedBuilder()
-    .setTitle(`Accounts in ${map.name}`)
-    .setColor(0x49C26F)
+    .setTitle(`Accounts in ${mapDisplayName(map)} (page ${page + 1}/${pages})`)
+    .setColor(map.color ? parseInt(map.color.slice(1), 16) : 0x49C26F)
     .setDescription(
       accounts.length
-        ? accounts.map(a => `• ${a.label} — ${a.login} — ${mask(a.password)}`).join('\n').slice(0, 4000)
+        ? accounts.map(a => `• ${ACCOUNT_STATUSES[a.status].emoji} ${a.label} — ${a.login} — ${mask(a.password)}${claimBadge(a)}`).join('\n').slice(0, 4000)
         : `No accounts in "${map.name}".`
     );
 }
@@ -261,13 +2118,74 @@ function backRow(extraButtons = []) {
   );
 }
 
-function buildMapSelect(customId, placeholder, maps) {
+const AUDIT_PAGE_SIZE = 10;
+const SELECT_MAX_OPTIONS = 25;
+
+// optionPage picks which slice of a long action group the filter lists; by default the one
+// holding the current action
+function auditView(action, page, viewer, optionPage = null) {
+  const filters = { ...(action === 'all' ? {} : { action }), hiddenMaps: hiddenMapIds(viewer), guildId: viewer.guildId };
+  const total = countAuditLog(filters);
+  const pages = pageCount(total, AUDIT_PAGE_SIZE);
+  page = clampPage(page, pages);
+  const entries = listAuditLog(filters, { limit: AUDIT_PAGE_SIZE, offset: page * AUDIT_PAGE_SIZE });
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Audit Log${action === 'all' ? '' : ` · ${action}`} (page ${page + 1}/${pages})`)
+    .setColor(0x8B949E)
+    .setDescription(
+      entries.length
+        ? entries.map(e => `<t:${Math.floor(sqliteDate(e.created_at).getTime() / 1000)}:R> ${describeAudit(e)}`).join('\n').slice(0, 4000)
+        : 'No audit entries.'
+    )
+    .setFooter({ text: `${total} entries` });
+
+  // Discord caps a select at 25 options, so only the chosen group's actions are listed, and
+  // a group too long for the remaining slots is paged through a "More…" option
+  const group = action === 'all' ? null : `${action.split('.')[0]}.`;
+  const fixed = ['all', ...auditGroups()];
+  let groupActions = AUDIT_ACTIONS.filter(a => group && a.startsWith(group));
+  let more = null;
+  if (fixed.length + groupActions.length > SELECT_MAX_OPTIONS) {
+    const perPage = SELECT_MAX_OPTIONS - fixed.length - 1;
+    const optionPages = Math.ceil(groupActions.length / perPage);
+    const current = optionPage ?? Math.floor(Math.max(0, groupActions.indexOf(action)) / perPage);
+    optionPage = clampPage(current, optionPages);
+    groupActions = groupActions.slice(optionPage * perPage, (optionPage + 1) * perPage);
+    more = {
+      label: `More ${group}* actions… (${optionPage + 1}/${optionPages})`,
+      value: `more:${action}:${page}:${(optionPage + 1) % optionPages}`
+    };
+  }
+  const filter = new StringSelectMenuBuilder()
+    .setCustomId('audit:filter')
+    .setPlaceholder('Filter by action…')
+    .setOptions([
+      ...[...fixed, ...groupActions].map(a => ({
+        label: a === 'all' ? 'All actions' : a.endsWith('.*') ? `All ${a.slice(0, -2)} actions` : a,
+        value: a,
+        default: a === action
+      })),
+      ...(more ? [more] : [])
+    ]);
+
+  return {
+    content: '',
+    embeds: [embed],
+    components: [
+      new ActionRowBuilder().addComponents(filter),
+      backRow(pagerButtons(page, pages, p => `audit:view:${action}:${p}`))
+    ]
+  };
+}
+
+function buildMapSelect(customId, placeholder, maps, page = 0) {
   const menu = new StringSelectMenuBuilder()
     .setCustomId(customId)
     .setPlaceholder(placeholder);
-  const options = maps.slice(0, 25).map(m => ({
-    label: m.name.slice(0, 100),
-    description: `${m.account_count} accounts`,
+  const options = maps.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE).map(m => ({
+    label: truncate(mapDisplayName(m), 100),
+    description: truncate(m.description ? `${formatMapCounts(m)} · ${m.description}` : formatMapCounts(m), 100),
     value: String(m.id)
   }));
   if (options.length === 0) {
@@ -278,96 +2196,778 @@ function buildMapSelect(customId, placeholder, maps) {
   return new ActionRowBuilder().addComponents(menu);
 }
 
-client.on('interactionCreate', async (interaction) => {
-  try {
-    if (interaction.isChatInputCommand() && interaction.commandName === 'panel') {
-      return interaction.reply({ ...mainPanel(), ephemeral: true });
-    }
+// Search results (search:page:<page>:<query>); detail select reuses acc:detail
+function searchView(query, page, viewer) {
+  const total = countSearchAccounts(query, viewer);
+  const pages = pageCount(total);
+  page = clampPage(page, pages);
+  const results = searchAccounts(query, PAGE_SIZE, page * PAGE_SIZE, viewer);
+  const embed = new EmbedBuilder()
+    .setTitle(truncate(`Search: "${query}" (page ${page + 1}/${pages})`, 256))
+    .setColor(0x6F7AE3)
+    .setDescription(
+      results.length
+        ? results.map(a => `• ${ACCOUNT_STATUSES[a.status].emoji} ${a.label} — ${a.login} · 🗺️ ${a.map_name}`).join('\n').slice(0, 4000)
+        : 'No matching accounts.'
+    )
+    .setFooter({ text: `${total} match${total === 1 ? '' : 'es'}` });
+  const components = [];
+  if (results.length) {
+    const sel = new StringSelectMenuBuilder()
+      .setCustomId('acc:detail:select:search')
+      .setPlaceholder('Open account details…')
+      .setOptions(results.map(a => ({
+        label: truncate(a.label || a.login, 100),
+        description: truncate(`${ACCOUNT_STATUSES[a.status].label} · ${a.login} · ${a.map_name}`, 100),
+        emoji: ACCOUNT_STATUSES[a.status].emoji,
+        value: String(a.id)
+      })));
+    components.push(new ActionRowBuilder().addComponents(sel));
+  }
+  const nav = pages > 1 ? pagerButtons(page, pages, p => `search:page:${p}:${query}`) : [];
+  components.push(backRow(nav));
+  return { content: '', embeds: [embed], components };
+}
 
-    // Buttons
-    if (interaction.isButton()) {
-      const id = interaction.customId;
+// Map pickers keyed by their select customId; pages use `<selectId>:page:<n>`. Each picker only
+// offers the maps the viewer has `level` access to.
+const MAP_PICKERS = {
+  'maps:edit:select': { title: 'Edit Map', description: 'Select a map to rename or change its details.', color: 0x2B7FFF, placeholder: 'Choose a map to edit…', level: 'modify' },
+  'maps:delete:select': { title: 'Delete Map', description: 'Select a map to move to the trash, together with its accounts.', color: 0xE5534B, placeholder: 'Choose a map to delete…', level: 'modify' },
+  'acc:add:select': { title: 'Add Account', description: 'Select a map to add an account to.', color: 0x49C26F, placeholder: 'Choose a map…', level: 'modify' },
+  'acc:bulk:select': { title: 'Bulk Add Accounts', description: 'Select a map to add multiple accounts.', color: 0x49C26F, placeholder: 'Choose a map…', level: 'modify' },
+  'acc:remove:select': { title: 'Remove Account', description: 'Select a map, then enter the login to remove.', color: 0xE0A235, placeholder: 'Choose a map…', level: 'modify' },
+  'maps:accounts:select': { title: 'List Accounts', description: 'Select a map to view accounts.', color: 0x49C26F, placeholder: 'Choose a map…', level: 'view' },
+  'maps:access:select': { title: 'Map Access', description: 'Select a map to choose which roles and web users may view, reveal or modify it.', color: 0x8B949E, placeholder: 'Choose a map…', level: 'modify' }
+};
 
-      if (id === 'panel:home') return interaction.update({ ...mainPanel() });
+function mapPickerView(selectId, page, viewer) {
+  const picker = MAP_PICKERS[selectId];
+  const maps = listMapsWithCounts(viewer, picker.level);
+  const pages = pageCount(maps.length);
+  page = clampPage(page, pages);
+  const embed = new EmbedBuilder()
+    .setTitle(`${picker.title} (page ${page + 1}/${pages})`)
+    .setDescription(picker.description)
+    .setColor(picker.color);
+  const selectRow = buildMapSelect(selectId, picker.placeholder, maps, page);
+  const nav = pages > 1 ? pagerButtons(page, pages, p => `${selectId}:page:${p}`) : [];
+  return { content: '', embeds: [embed], components: [selectRow, backRow(nav)] };
+}
 
-      // Maps
-      if (id === 'maps:list') {
-        const maps = listMapsWithCounts();
-        return interaction.update({ embeds: [mapsEmbed(maps)], components: [backRow([
-          new ButtonBuilder().setCustomId('maps:refresh').setLabel('Refresh').setStyle(ButtonStyle.Secondary).setEmoji('🔄')
-        ])]});
-      }
-      if (id === 'maps:refresh') {
-        const maps = listMapsWithCounts();
-        return interaction.update({ embeds: [mapsEmbed(maps)], components: [backRow([
-          new ButtonBuilder().setCustomId('maps:refresh').setLabel('Refresh').setStyle(ButtonStyle.Secondary).setEmoji('🔄')
-        ])]});
-      }
-      if (id === 'map:create') {
-        const modal = new ModalBuilder().setCustomId('map:create:modal').setTitle('Create Map');
-        const nameInput = new TextInputBuilder()
-          .setCustomId('map_name')
-          .setLabel('Map name')
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setMaxLength(64);
-        modal.addComponents(new ActionRowBuilder().addComponents(nameInput));
-        return interaction.showModal(modal);
-      }
-      if (id === 'map:delete') {
-        const maps = listMapsWithCounts();
-        const embed = new EmbedBuilder().setTitle('Delete Map').setDescription('Select a map to delete (all accounts removed).').setColor(0xE5534B);
-        const selectRow = buildMapSelect('maps:delete:select', 'Choose a map to delete…', maps);
-        return interaction.update({ embeds: [embed], components: [selectRow, backRow()] });
-      }
+function accountsView(map, page, viewer) {
+  const pages = pageCount(countAccountsInMap(map.id));
+  page = clampPage(page, pages);
+  const accounts = listAccountsByMapId(map.id, PAGE_SIZE, page * PAGE_SIZE);
+  const components = [];
+  if (accounts.length) {
+    const sel = new StringSelectMenuBuilder()
+      .setCustomId(`acc:detail:select:${map.id}`)
+      .setPlaceholder('Open account details…')
+      .setOptions(
+        accounts.map(a => ({
+          label: truncate(a.label || a.login, 100),
+          description: truncate(`${ACCOUNT_STATUSES[a.status].label} · ${a.login}`, 100),
+          emoji: ACCOUNT_STATUSES[a.status].emoji,
+          value: String(a.id)
+        }))
+      );
+    components.push(new ActionRowBuilder().addComponents(sel));
+  }
+  const nav = pages > 1 ? pagerButtons(page, pages, p => `acc:list:page:${map.id}:${p}`) : [];
+  if (accounts.length && canAccessMap(map.id, viewer, 'reveal') && viewerMayUse(viewer, `acc:free:${map.id}`)) {
+    nav.push(new ButtonBuilder().setCustomId(`acc:free:${map.id}`).setLabel('Give me a free account').setStyle(ButtonStyle.Success).setEmoji('🎟️'));
+  }
+  components.push(backRow(nav));
+  return { content: '', embeds: [accountsEmbed(map, accounts, page, pages)], components };
+}
 
-      // Accounts - add (choose map first)
-      if (id === 'acc:add') {
-        const maps = listMapsWithCounts();
-        const embed = new EmbedBuilder().setTitle('Add Account').setDescription('Select a map to add an account to.').setColor(0x49C26F);
-        const selectRow = buildMapSelect('acc:add:select', 'Choose a map…', maps);
-        return interaction.update({ embeds: [embed], components: [selectRow, backRow()] });
-      }
+// Trash list (trash:view:<page>); picking an item offers restore/purge
+function trashView(page, viewer) {
+  const total = countTrash(viewer);
+  const pages = pageCount(total);
+  page = clampPage(page, pages);
+  const items = listTrash(PAGE_SIZE, page * PAGE_SIZE, viewer);
+  const describe = t => t.kind === 'map'
+    ? `🗺️ ${t.label} (${t.account_count} accounts)`
+    : `👤 ${t.label} — ${t.login} · ${t.map_name}`;
+  const embed = new EmbedBuilder()
+    .setTitle(`Trash (page ${page + 1}/${pages})`)
+    .setColor(0x8B949E)
+    .setDescription(
+      items.length
+        ? items.map(t => `• ${describe(t)} · <t:${Math.floor(sqliteDate(t.deleted_at).getTime() / 1000)}:R>`).join('\n').slice(0, 4000)
+        : 'Trash is empty.'
+    )
+    .setFooter({ text: `Items are ${trashRetentionText()}` });
+  const components = [];
+  if (items.length) {
+    const sel = new StringSelectMenuBuilder()
+      .setCustomId('trash:select')
+      .setPlaceholder('Restore or purge…')
+      .setOptions(items.map(t => ({
+        label: truncate(describe(t), 100),
+        value: `${t.kind}:${t.id}`
+      })));
+    components.push(new ActionRowBuilder().addComponents(sel));
+  }
+  components.push(backRow(pages > 1 ? pagerButtons(page, pages, p => `trash:view:${p}`) : []));
+  return { content: '', embeds: [embed], components };
+}
 
-      // Accounts - bulk add (choose map first)
-      if (id === 'acc:bulk') {
-        const maps = listMapsWithCounts();
-        const embed = new EmbedBuilder().setTitle('Bulk Add Accounts').setDescription('Select a map to add multiple accounts.').setColor(0x49C26F);
-        const selectRow = buildMapSelect('acc:bulk:select', 'Choose a map…', maps);
-        return interaction.update({ embeds: [embed], components: [selectRow, backRow()] });
-      }
+function trashItemView(kind, item, viewer) {
+  const embed = new EmbedBuilder()
+    .setTitle(kind === 'map' ? `Trashed map: ${item.name}` : `Trashed account: ${item.label}`)
+    .setColor(0x8B949E)
+    .setDescription(kind === 'map'
+      ? `${countAccountsInMap(item.id)} accounts will come back with it.`
+      : `Login: ${item.login}`)
+    .setTimestamp(sqliteDate(item.deleted_at));
+  const buttons = [
+    new ButtonBuilder().setCustomId(`trash:restore:${kind}:${item.id}`).setLabel('Restore').setStyle(ButtonStyle.Success).setEmoji('♻️'),
+    new ButtonBuilder().setCustomId(`trash:purge:${kind}:${item.id}`).setLabel('Delete forever').setStyle(ButtonStyle.Danger).setEmoji('🔥')
+  ].filter(b => viewerMayUse(viewer, b.data.custom_id));
+  const rows = buttons.length ? [new ActionRowBuilder().addComponents(...buttons)] : [];
+  return { content: '', embeds: [embed], components: [...rows, backRow([
+    new ButtonBuilder().setCustomId('trash:view:0').setLabel('Trash').setStyle(ButtonStyle.Secondary).setEmoji('♻️')
+  ])] };
+}
 
-      // Accounts - remove (choose map first)
-      if (id === 'acc:remove') {
-        const maps = listMapsWithCounts();
-        const embed = new EmbedBuilder().setTitle('Remove Account').setDescription('Select a map, then enter the login to remove.').setColor(0xE0A235);
-        const selectRow = buildMapSelect('acc:remove:select', 'Choose a map…', maps);
-        return interaction.update({ embeds: [embed], components: [selectRow, backRow()] });
-      }
+// Admins only: recent snapshots of the whole database (every server) and an on-demand backup
+function backupsView(notice = '') {
+  const backups = listBackups();
+  const schedule = Number(BACKUP_INTERVAL_HOURS) > 0 ? `every ${BACKUP_INTERVAL_HOURS} h` : 'on demand only';
+  const embed = new EmbedBuilder()
+    .setTitle('Backups')
+    .setColor(0x8B949E)
+    .setDescription(
+      backups.length
+        ? backups.slice(0, 10).map(b => `• \`${b.name}\` · ${formatBytes(b.size)} · <t:${Math.floor(b.createdAt.getTime() / 1000)}:R>`).join('\n')
+        : 'No backups yet.'
+    )
+    .setFooter({ text: `${backups.length} kept (newest ${BACKUP_KEEP}), ${schedule}. Restore with: node index.js restore <file>` });
+  const row = backRow([
+    new ButtonBuilder().setCustomId('backups:create').setLabel('Back up now').setStyle(ButtonStyle.Primary).setEmoji('💾')
+  ]);
+  return { content: notice, embeds: [embed], components: [row] };
+}
+
+// Destructive actions go through a confirm step. The deadline rides in the
+// customId (`<action>:confirm:<id>:<expiresAt>`), so nothing is kept in memory.
+const requireMapNameConfirm = String(REQUIRE_MAP_NAME_CONFIRM).toLowerCase() === 'true';
+
+function confirmDeadline() {
+  return Math.floor(Date.now() / 1000) + Number(CONFIRM_TIMEOUT_SECONDS);
+}
+function isExpired(expiresAt) {
+  return !Number(expiresAt) || Math.floor(Date.now() / 1000) > Number(expiresAt);
+}
+function confirmExpired() {
+  return { content: '⌛ Confirmation expired. Start again from the panel.', embeds: [], components: [backRow()] };
+}
+
+function confirmView({ title, description, confirmId, confirmLabel, expiresAt }) {
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setColor(0xE5534B)
+    .setDescription(`${description}\n\nThis confirmation expires <t:${expiresAt}:R>.`);
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(confirmId).setLabel(confirmLabel).setStyle(ButtonStyle.Danger).setEmoji('🗑️'),
+    new ButtonBuilder().setCustomId('panel:home').setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+  );
+  return { content: '', embeds: [embed], components: [row] };
+}
+
+function trashMapFromDiscord(interaction, map) {
+  const accountCount = countAccountsInMap(map.id);
+  deleteMapById(map.id);
+  logAudit({ ...discordActor(interaction), action: 'map.delete', map, details: `${accountCount} accounts` });
+  return { content: `🗑️ Moved map "${map.name}" and its ${accountCount} accounts to the trash.`, embeds: [], components: [backRow()] };
+}
+
+// Previewed bulk lines wait here until committed with acc:bulk:commit:<token>:<mode>;
+// they are too long for a customId. Kept in memory, so a restart drops them.
+const BULK_PREVIEW_TTL_MS = 10 * 60 * 1000;
+const BULK_PROGRESS_INTERVAL_MS = 2000;
+const pendingBulk = new Map();
+
+function storePendingBulk({ mapId, entries, userId }) {
+  const now = Date.now();
+  for (const [token, entry] of pendingBulk) {
+    if (entry.expiresAt <= now) pendingBulk.delete(token);
+  }
+  const token = crypto.randomBytes(8).toString('hex');
+  pendingBulk.set(token, { mapId, entries, userId, expiresAt: now + BULK_PREVIEW_TTL_MS });
+  return token;
+}
+
+function takePendingBulk(token, userId) {
+  const entry = pendingBulk.get(token);
+  if (!entry || entry.userId !== userId || entry.expiresAt <= Date.now()) return null;
+  pendingBulk.delete(token);
+  return entry;
+}
+
+// onProgress for readPairLines on a deferred interaction, throttled to Discord's edit rate
+function bulkProgressReporter(interaction, map) {
+  let lastEdit = 0;
+  return async (linesRead) => {
+    if (Date.now() - lastEdit < BULK_PROGRESS_INTERVAL_MS) return;
+    lastEdit = Date.now();
+    // Progress is cosmetic; a failed edit (e.g. an expired token) must not abort the import
+    await interaction.editReply({ content: `⏳ ${map.name}: ${linesRead} lines read…`, embeds: [], components: [] }).catch(() => {});
+  };
+}
+
+function bulkReportView(map, res, token = null) {
+  const rows = bulkReportRows(res);
+  const summary = bulkSummary(res).map(([k, v]) => `${k}: **${v}**`).join('\n');
+  let details = '';
+  for (const [i, r] of rows.entries()) {
+    const entry = `\`${truncate(r.line, 80)}\` — ${truncate(r.error, 80)}\n`;
+    if (details.length + entry.length > 3500) {
+      details += `…and ${rows.length - i} more`;
+      break;
+    }
+    details += entry;
+  }
+  const embed = new EmbedBuilder()
+    .setTitle(`${res.dryRun ? '🔎 Bulk add preview' : '📥 Bulk add result'}: ${map.name}`)
+    .setColor(res.errors.length ? 0xE5A50A : 0x3BA55D)
+    .setDescription(`${summary}${details ? `\n\n${details}` : ''}`);
+  if (res.dryRun) embed.setFooter({ text: 'Nothing was written. Commit within 10 minutes.' });
+
+  const buttons = token
+    ? [
+        new ButtonBuilder().setCustomId(`acc:bulk:commit:${token}:add`).setLabel('Import').setStyle(ButtonStyle.Success).setEmoji('📥'),
+        new ButtonBuilder().setCustomId(`acc:bulk:commit:${token}:overwrite`).setLabel('Import & overwrite').setStyle(ButtonStyle.Primary)
+      ]
+    : [];
+  return { content: '', embeds: [embed], components: [backRow(buttons)] };
+}
+
+// Detail view for one account; the move picker pages via acc:move:page:<id>:<page>.
+// Buttons the viewer's map access does not cover are left out.
+function accountDetailView(acc, movePage = 0, viewer) {
+  // Both the map access level and the member's role tier for that button
+  const can = (level, customId) => canAccessMap(acc.map_id, viewer, level) && viewerMayUse(viewer, customId);
+  const map = getMapById(acc.map_id);
+  const data = parseAccountData(acc.data);
+  const embed = new EmbedBuilder()
+    .setTitle(`Account: ${acc.label || acc.login}`)
+    .setColor(0x6F7AE3)
+    .addFields(
+      { name: 'Map', value: map?.name || '—', inline: true },
+      { name: 'Login', value: acc.login, inline: false },
+      { name: 'Password', value: mask(acc.password), inline: false },
+      { name: 'Status', value: acc.status_reason ? `${statusBadge(acc.status)} — ${acc.status_reason}` : statusBadge(acc.status), inline: false }
+    )
+    .setTimestamp(sqliteDate(acc.created_at));
+  if (data.tags.length) embed.addFields({ name: 'Tags', value: truncate(data.tags.map(t => `\`${t}\``).join(' '), 1024) });
+  if (data.notes) embed.addFields({ name: 'Notes', value: truncate(data.notes, 1024) });
+  if (isClaimActive(acc)) embed.addFields({ name: 'Claimed by', value: claimText(acc) });
+  for (const [key, value] of Object.entries(data.fields).slice(0, 18)) {
+    embed.addFields({ name: truncate(key, 256), value: truncate(value, 1024), inline: true });
+  }
+  const buttons = [
+    ...(can('reveal', `acc:reveal:${acc.id}`) ? [new ButtonBuilder().setCustomId(`acc:reveal:${acc.id}`).setLabel('Reveal Password').setStyle(ButtonStyle.Primary).setEmoji('👁️')] : []),
+    ...(acc.totp_secret && can('reveal', `acc:totp:${acc.id}`) ? [new ButtonBuilder().setCustomId(`acc:totp:${acc.id}`).setLabel('Get 2FA code').setStyle(ButtonStyle.Primary).setEmoji('🔢')] : []),
+    ...(can('modify', `acc:edit:${acc.id}`) ? [
+      new ButtonBuilder().setCustomId(`acc:edit:${acc.id}`).setLabel('Edit').setStyle(ButtonStyle.Secondary).setEmoji('✏️'),
+      new ButtonBuilder().setCustomId(`acc:data:${acc.id}`).setLabel('Notes & Fields').setStyle(ButtonStyle.Secondary).setEmoji('📝')
+    ] : []),
+    ...(can('modify', `acc:delete:${acc.id}`) ? [new ButtonBuilder().setCustomId(`acc:delete:${acc.id}`).setLabel('Delete').setStyle(ButtonStyle.Danger).setEmoji('🗑️')] : [])
+  ];
+  const claimId = `acc:${isClaimActive(acc) ? 'release' : 'claim'}:${acc.id}`;
+  const claimRow = new ActionRowBuilder().addComponents(
+    ...(can('reveal', claimId) ? [isClaimActive(acc)
+      ? new ButtonBuilder().setCustomId(claimId).setLabel('Release').setStyle(ButtonStyle.Secondary).setEmoji('🔓')
+      : new ButtonBuilder().setCustomId(claimId).setLabel('Claim').setStyle(ButtonStyle.Success).setEmoji('🔒')] : []),
+    new ButtonBuilder().setCustomId(`acc:history:view:${acc.id}`).setLabel('Password history').setStyle(ButtonStyle.Secondary).setEmoji('🕘')
+  );
+  const components = [];
+  if (buttons.length) components.push(new ActionRowBuilder().addComponents(...buttons));
+  components.push(claimRow);
+  if (can('modify', `acc:status:select:${acc.id}`)) {
+    const statusSelect = new StringSelectMenuBuilder()
+      .setCustomId(`acc:status:select:${acc.id}`)
+      .setPlaceholder('Set status…')
+      .setOptions(Object.entries(ACCOUNT_STATUSES).map(([value, s]) => ({ label: s.label, emoji: s.emoji, value, default: value === acc.status })));
+    components.push(new ActionRowBuilder().addComponents(statusSelect));
+  }
+  const targets = can('modify', `acc:move:select:${acc.id}`) ? listMapsWithCounts(viewer, 'modify').filter(m => m.id !== acc.map_id) : [];
+  const pages = pageCount(targets.length);
+  movePage = clampPage(movePage, pages);
+  if (targets.length) components.push(buildMapSelect(`acc:move:select:${acc.id}`, 'Move to map…', targets, movePage));
+  const nav = pages > 1 ? pagerButtons(movePage, pages, p => `acc:move:page:${acc.id}:${p}`) : [];
+  components.push(backRow(nav));
+  return { content: '', embeds: [embed], components };
+}
+
+// Previous passwords of one account, newest first; picking one restores it
+function passwordHistoryView(acc, viewer) {
+  const entries = listPasswordHistory(acc.id);
+  const limit = historyLimitForMap(getMapById(acc.map_id));
+  const embed = new EmbedBuilder()
+    .setTitle(`Password history: ${acc.label || acc.login}`)
+    .setColor(0x6F7AE3)
+    .setDescription(
+      entries.length
+        ? entries.map((h, i) => `**${i + 1}.** replaced <t:${Math.floor(sqliteDate(h.created_at).getTime() / 1000)}:f> by ${h.changed_by_name || 'unknown'} — ${MASKED_OLD_PASSWORD}`).join('\n').slice(0, 4000)
+        : 'No previous passwords recorded.'
+    )
+    .setFooter({ text: limit > 0 ? `Keeps the last ${limit} passwords` : 'Password history is off for this map' });
+  const components = [];
+  if (entries.length && canAccessMap(acc.map_id, viewer, 'modify') && viewerMayUse(viewer, `acc:history:restore:${acc.id}`)) {
+    const select = new StringSelectMenuBuilder()
+      .setCustomId(`acc:history:restore:${acc.id}`)
+      .setPlaceholder('Restore a previous password…')
+      .setOptions(entries.slice(0, 25).map((h, i) => ({
+        label: `${i + 1}. Replaced ${h.created_at} UTC`,
+        description: truncate(`By ${h.changed_by_name || 'unknown'}`, 100),
+        value: String(h.id)
+      })));
+    components.push(new ActionRowBuilder().addComponents(select));
+  }
+  components.push(backRow([
+    new ButtonBuilder().setCustomId(`acc:view:${acc.id}`).setLabel('Account').setStyle(ButtonStyle.Secondary).setEmoji('👤')
+  ]));
+  return { content: '', embeds: [embed], components };
+}
+
+client.on('interactionCreate', async (interaction) => {
+  try {
+    if (!interaction.isRepliable()) return;
+    const access = requiredAccess(interaction);
+    if (!interaction.inGuild() || !hasAccess(interaction.member, access)) {
+      return interaction.reply({ content: ACCESS_DENIED[access], ephemeral: true });
+    }
+    // Per-map access; lookups made with it treat maps out of reach as not found
+    const viewer = discordViewer(interaction);
+
+    if (interaction.isChatInputCommand() && interaction.commandName === 'panel') {
+      return interaction.reply({ ...mainPanel(viewer), ephemeral: true });
+    }
+    if (interaction.isChatInputCommand() && interaction.commandName === 'maps') {
+      const sub = interaction.options.getSubcommand();
+      const passphrase = interaction.options.getString('passphrase') || null;
+
+      if (sub === 'export') {
+        const mapName = interaction.options.getString('map');
+        const format = interaction.options.getString('format') || 'json';
+        let map = null;
+        if (mapName) {
+          map = getMapByName(mapName, interaction.guildId);
+          if (!map || map.deleted_at || !canAccessMap(map.id, viewer, 'reveal')) {
+            return interaction.reply({ content: `Map "${mapName}" not found.`, ephemeral: true });
+          }
+        }
+        const file = buildExportFile({ mapId: map?.id, format, passphrase, viewer });
+        const accountCount = file.data.maps.reduce((n, m) => n + m.accounts.length, 0);
+        logAudit({
+          ...discordActor(interaction), action: 'data.export', map,
+          details: `${file.data.maps.length} maps, ${accountCount} accounts, ${format}${passphrase ? ', encrypted' : ''}`
+        });
+        return interaction.reply({
+          content: `📤 Exported ${file.data.maps.length} map(s) with ${accountCount} account(s).` +
+            (passphrase ? '' : '\n⚠️ This file contains plaintext passwords.'),
+          files: [new AttachmentBuilder(Buffer.from(file.content, 'utf8'), { name: file.filename })],
+          ephemeral: true
+        });
+      }
+
+      if (sub === 'import') {
+        const attachment = interaction.options.getAttachment('file');
+        if (attachment.size > IMPORT_MAX_BYTES) {
+          return interaction.reply({ content: `File too large (max ${IMPORT_MAX_BYTES / 1024 / 1024} MB).`, ephemeral: true });
+        }
+        await interaction.deferReply({ ephemeral: true });
+        try {
+          const resp = await fetch(attachment.url);
+          if (!resp.ok) throw new Error(`Download failed (HTTP ${resp.status})`);
+          const res = importMaps(parseExportFile(await resp.text(), { passphrase }), viewer);
+          logAudit({
+            ...discordActor(interaction), action: 'data.import',
+            details: `${attachment.name}: maps created ${res.mapsCreated}, merged ${res.mapsMerged}, added ${res.added}, duplicates ${res.duplicates}, errors ${res.errors.length}`
+          });
+          const msg =
+            `📥 Import result:\n` +
+            `• Maps created: ${res.mapsCreated}\n` +
+            `• Maps merged: ${res.mapsMerged}\n` +
+            `• Added: ${res.added}\n` +
+            `• Duplicates: ${res.duplicates}\n` +
+            (res.errors.length ? `• Errors: ${res.errors.length}` : '');
+          return interaction.editReply({ content: msg });
+        } catch (e) {
+          return interaction.editReply({ content: `Error: ${e.message}` });
+        }
+      }
+    }
+    if (interaction.isChatInputCommand() && interaction.commandName === 'import') {
+      const mapName = interaction.options.getString('map');
+      const attachment = interaction.options.getAttachment('file');
+      const mode = interaction.options.getString('mode') || 'add';
+      const map = getMapByName(mapName, interaction.guildId);
+      if (!map || map.deleted_at || !canAccessMap(map.id, viewer, 'modify')) {
+        return interaction.reply({ content: `Map "${mapName}" not found.`, ephemeral: true });
+      }
+      if (attachment.size > IMPORT_MAX_BYTES) {
+        return interaction.reply({ content: `File too large (max ${IMPORT_MAX_BYTES / 1024 / 1024} MB).`, ephemeral: true });
+      }
+      await interaction.deferReply({ ephemeral: true });
+      try {
+        const resp = await fetch(attachment.url);
+        if (!resp.ok) throw new Error(`Download failed (HTTP ${resp.status})`);
+        const entries = await readPairLines(Readable.fromWeb(resp.body), attachment.name, bulkProgressReporter(interaction, map));
+        const dryRun = mode === 'preview';
+        const res = bulkAddEntries({ mapId: map.id, entries, dryRun, overwrite: mode === 'overwrite', actor: discordActor(interaction) });
+        if (dryRun) {
+          const token = storePendingBulk({ mapId: map.id, entries, userId: interaction.user.id });
+          return interaction.editReply(bulkReportView(map, res, token));
+        }
+        logAudit({ ...discordActor(interaction), action: 'account.bulk_add', map, details: `${attachment.name}: ${bulkAuditDetails(mode, res)}` });
+        return interaction.editReply(bulkReportView(map, res));
+      } catch (e) {
+        return interaction.editReply({ content: `Error: ${e.message}` });
+      }
+    }
+    if (interaction.isChatInputCommand() && interaction.commandName === 'search') {
+      const query = interaction.options.getString('query').trim();
+      return interaction.reply({ ...searchView(query, 0, viewer), ephemeral: true });
+    }
+
+    // Buttons
+    if (interaction.isButton()) {
+      const id = interaction.customId;
+
+      if (id === 'panel:home') return interaction.update({ ...mainPanel(viewer) });
+
+      // Audit log (audit:view:<action|all>:<page>)
+      if (id.startsWith('audit:view:')) {
+        const [, , action, page] = id.split(':');
+        return interaction.update(auditView(action, Number(page) || 0, viewer));
+      }
+
+      // Search
+      if (id === 'search:open') {
+        const modal = new ModalBuilder().setCustomId('search:modal').setTitle('Search Accounts');
+        const queryInput = new TextInputBuilder()
+          .setCustomId('query')
+          .setLabel('Login or label contains')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true)
+          .setMaxLength(SEARCH_MAX_LENGTH);
+        modal.addComponents(new ActionRowBuilder().addComponents(queryInput));
+        return interaction.showModal(modal);
+      }
+      if (id.startsWith('search:page:')) {
+        const [, , page, ...rest] = id.split(':');
+        return interaction.update(searchView(rest.join(':'), Number(page), viewer));
+      }
+
+      // Maps (maps:list:page:<page>, maps:refresh:<page>)
+      if (id === 'maps:list') return interaction.update(mapsListView(0, viewer));
+      if (id.startsWith('maps:list:page:') || id.startsWith('maps:refresh')) {
+        return interaction.update(mapsListView(Number(id.split(':').pop()), viewer));
+      }
+
+      // Map picker pages
+      const pickerPage = id.match(/^(.+:select):page:(-?\d+)$/);
+      if (pickerPage && MAP_PICKERS[pickerPage[1]]) {
+        return interaction.update(mapPickerView(pickerPage[1], Number(pickerPage[2]), viewer));
+      }
+
+      if (id === 'map:create') {
+        const modal = new ModalBuilder().setCustomId('map:create:modal').setTitle('Create Map');
+        const nameInput = new TextInputBuilder()
+          .setCustomId('map_name')
+          .setLabel('Map name')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true)
+          .setMaxLength(64);
+        modal.addComponents(new ActionRowBuilder().addComponents(nameInput));
+        return interaction.showModal(modal);
+      }
+      if (id === 'map:edit') return interaction.update(mapPickerView('maps:edit:select', 0, viewer));
+      if (id === 'map:delete') return interaction.update(mapPickerView('maps:delete:select', 0, viewer));
+      if (id === 'map:access') return interaction.update(mapPickerView('maps:access:select', 0, viewer));
+
+      // Backups (admins)
+      if (id === 'backups:view') return interaction.update(backupsView());
+      if (id === 'backups:create') {
+        await interaction.deferUpdate();
+        try {
+          const backup = await createBackup();
+          logAudit({ ...discordActor(interaction), action: 'data.backup', details: `${backup.name}, ${formatBytes(backup.size)}` });
+          return interaction.editReply(backupsView(`💾 Saved ${backup.name}${backup.pruned ? ` and pruned ${backup.pruned} old backup(s)` : ''}.`));
+        } catch (e) {
+          console.error('Backup failed:', e);
+          return interaction.editReply(backupsView(`❌ Backup failed: ${e.message}`));
+        }
+      }
+
+      // Accounts - add (choose map first)
+      if (id === 'acc:add') return interaction.update(mapPickerView('acc:add:select', 0, viewer));
+
+      // Accounts - bulk add (choose map first)
+      if (id === 'acc:bulk') return interaction.update(mapPickerView('acc:bulk:select', 0, viewer));
+
+      // Commit a previewed bulk add (acc:bulk:commit:<token>:<add|overwrite>)
+      if (id.startsWith('acc:bulk:commit:')) {
+        const [, , , token, mode] = id.split(':');
+        const pending = takePendingBulk(token, interaction.user.id);
+        if (!pending) {
+          return interaction.update({ content: '⌛ This preview expired. Run the bulk add again.', embeds: [], components: [backRow()] });
+        }
+        const map = getMapById(pending.mapId, { viewer, level: 'modify' });
+        if (!map) return interaction.update({ content: 'Map not found.', embeds: [], components: [backRow()] });
+        await interaction.deferUpdate();
+        const res = bulkAddEntries({ mapId: map.id, entries: pending.entries, overwrite: mode === 'overwrite', actor: discordActor(interaction) });
+        logAudit({ ...discordActor(interaction), action: 'account.bulk_add', map, details: bulkAuditDetails(mode, res) });
+        return interaction.editReply(bulkReportView(map, res));
+      }
+
+      // Accounts - remove (choose map first)
+      if (id === 'acc:remove') return interaction.update(mapPickerView('acc:remove:select', 0, viewer));
 
       // Accounts - list
-      if (id === 'acc:list') {
-        const maps = listMapsWithCounts();
-        const embed = new EmbedBuilder().setTitle('List Accounts').setDescription('Select a map to view accounts.').setColor(0x49C26F);
-        const selectRow = buildMapSelect('maps:accounts:select', 'Choose a map…', maps);
-        return interaction.update({ embeds: [embed], components: [selectRow, backRow()] });
+      if (id === 'acc:list') return interaction.update(mapPickerView('maps:accounts:select', 0, viewer));
+
+      // Accounts - list pages (acc:list:page:<mapId>:<page>)
+      if (id.startsWith('acc:list:page:')) {
+        const [, , , mapId, page] = id.split(':');
+        const map = getMapById(Number(mapId), { viewer });
+        if (!map) return interaction.update({ content: 'Map not found.', embeds: [], components: [backRow()] });
+        return interaction.update(accountsView(map, Number(page), viewer));
       }
 
       // Reveal password (ephemeral)
       if (id.startsWith('acc:reveal:')) {
         const accountId = Number(id.split(':').pop());
-        const acc = getAccountById(accountId);
+        const acc = getAccountById(accountId, { viewer, level: 'reveal' });
+        if (!acc) return interaction.reply({ content: 'Account not found.', ephemeral: true });
+        logAudit({ ...discordActor(interaction), action: 'account.reveal', map: getMapById(acc.map_id), account: acc });
+        const secret = accountSecret(acc);
+        return interaction.reply({
+          content: `Password for ${acc.login}:\n\`\`\`\n${decryptSecret(acc.password)}\n\`\`\`${secret ? `Legacy secret:\n\`\`\`\n${secret}\n\`\`\`` : ''}`,
+          ephemeral: true
+        });
+      }
+
+      // Claim / release from the detail view
+      if (id.startsWith('acc:claim:') || id.startsWith('acc:release:')) {
+        const claiming = id.startsWith('acc:claim:');
+        const acc = getAccountById(Number(id.split(':').pop()), { viewer, level: 'reveal' });
+        if (!acc) return interaction.update({ content: 'Account not found.', embeds: [], components: [backRow()] });
+        const done = claiming
+          ? claimAccount(acc.id, discordActor(interaction))
+          : releaseAccount(acc.id, discordActor(interaction), { force: canAccessMap(acc.map_id, viewer, 'modify') });
+        if (!done) return interaction.reply({ content: `🔒 Already claimed by ${acc.claimed_by_name}.`, ephemeral: true });
+        logAudit({
+          ...discordActor(interaction), action: claiming ? 'account.claim' : 'account.release', map: getMapById(acc.map_id), account: acc,
+          details: !claiming && acc.claimed_by_name ? `held by ${acc.claimed_by_name}` : null
+        });
+        return interaction.update(accountDetailView(getAccountById(acc.id), 0, viewer));
+      }
+
+      // Pick, claim and reveal an unclaimed account (acc:free:<mapId>)
+      if (id.startsWith('acc:free:')) {
+        const map = getMapById(Number(id.split(':').pop()), { viewer, level: 'reveal' });
+        if (!map) return interaction.reply({ content: 'Map not found.', ephemeral: true });
+        const acc = claimFreeAccount(map.id, discordActor(interaction));
+        if (!acc) return interaction.reply({ content: `No free accounts in "${map.name}" right now.`, ephemeral: true });
+        logAudit({ ...discordActor(interaction), action: 'account.claim', map, account: acc, details: 'free account picked, password revealed' });
+        return interaction.reply({
+          content: `🎟️ Claimed **${acc.label || acc.login}** from ${map.name}:\n\`\`\`\n${acc.login}\n${decryptSecret(acc.password)}\n\`\`\`\nRelease it when you are done.`,
+          components: [new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(`acc:release:${acc.id}`).setLabel('Release').setStyle(ButtonStyle.Secondary).setEmoji('🔓')
+          )],
+          ephemeral: true
+        });
+      }
+
+      // Current TOTP code (ephemeral); Discord renders the expiry as a live countdown
+      if (id.startsWith('acc:totp:')) {
+        const acc = getAccountById(Number(id.split(':').pop()), { viewer, level: 'reveal' });
+        if (!acc) return interaction.reply({ content: 'Account not found.', ephemeral: true });
+        const totp = accountTotp(acc);
+        if (!totp) return interaction.reply({ content: 'This account has no 2FA secret.', ephemeral: true });
+        const { code, remaining, expiresAt } = totpCode(totp);
+        logAudit({ ...discordActor(interaction), action: 'account.totp', map: getMapById(acc.map_id), account: acc });
+        return interaction.reply({
+          content: `2FA code for ${acc.login}:\n\`\`\`\n${code}\n\`\`\`\nValid for ${remaining}s (expires <t:${expiresAt}:R>).`,
+          ephemeral: true
+        });
+      }
+
+      // Edit (prefilled modal; blank password keeps the current one)
+      if (id.startsWith('acc:edit:')) {
+        const acc = getAccountById(Number(id.split(':').pop()), { viewer, level: 'modify' });
+        if (!acc) return interaction.reply({ content: 'Account not found.', ephemeral: true });
+        const modal = new ModalBuilder().setCustomId(`acc:edit:modal:${acc.id}`).setTitle(truncate(`Edit ${acc.login}`, 45));
+        const loginInput = new TextInputBuilder()
+          .setCustomId('login')
+          .setLabel('Login')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true)
+          .setMaxLength(200)
+          .setValue(acc.login);
+        const labelInput = new TextInputBuilder()
+          .setCustomId('label')
+          .setLabel('Label (optional)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setMaxLength(64);
+        if (acc.raw_label) labelInput.setValue(acc.raw_label);
+        const passwordInput = new TextInputBuilder()
+          .setCustomId('password')
+          .setLabel('New password (leave blank to keep)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setMaxLength(200);
+        const totpInput = new TextInputBuilder()
+          .setCustomId('totp')
+          .setLabel(acc.totp_secret ? '2FA secret (blank keeps, - removes)' : '2FA secret or otpauth:// URI (optional)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setMaxLength(500);
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(loginInput),
+          new ActionRowBuilder().addComponents(labelInput),
+          new ActionRowBuilder().addComponents(passwordInput),
+          new ActionRowBuilder().addComponents(totpInput)
+        );
+        return interaction.showModal(modal);
+      }
+
+      // Notes, tags and custom fields (prefilled modal)
+      if (id.startsWith('acc:data:')) {
+        const acc = getAccountById(Number(id.split(':').pop()), { viewer, level: 'modify' });
         if (!acc) return interaction.reply({ content: 'Account not found.', ephemeral: true });
-        return interaction.reply({ content: `Password for ${acc.login}:\n\`\`\`\n${acc.password}\n\`\`\``, ephemeral: true });
+        const data = parseAccountData(acc.data);
+        const modal = new ModalBuilder().setCustomId(`acc:data:modal:${acc.id}`).setTitle(truncate(`Notes for ${acc.login}`, 45));
+        const notesInput = new TextInputBuilder()
+          .setCustomId('notes')
+          .setLabel('Notes')
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(false)
+          .setMaxLength(NOTES_MAX_LENGTH);
+        if (data.notes) notesInput.setValue(data.notes);
+        const tagsInput = new TextInputBuilder()
+          .setCustomId('tags')
+          .setLabel('Tags (comma-separated)')
+          .setStyle(TextInputStyle.Short)
+          .setPlaceholder('main, eu, verified')
+          .setRequired(false)
+          .setMaxLength(400);
+        if (data.tags.length) tagsInput.setValue(data.tags.join(', '));
+        const fieldsInput = new TextInputBuilder()
+          .setCustomId('fields')
+          .setLabel('Custom fields (one "key: value" per line)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setPlaceholder('recovery email: backup@mail.com\nregion: EU')
+          .setRequired(false)
+          .setMaxLength(2000);
+        const fieldsText = formatCustomFields(data.fields);
+        if (fieldsText) fieldsInput.setValue(truncate(fieldsText, 2000));
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(notesInput),
+          new ActionRowBuilder().addComponents(tagsInput),
+          new ActionRowBuilder().addComponents(fieldsInput)
+        );
+        return interaction.showModal(modal);
+      }
+
+      // Move picker pages (acc:move:page:<accountId>:<page>)
+      if (id.startsWith('acc:view:')) {
+        const acc = getAccountById(Number(id.split(':').pop()), { viewer });
+        if (!acc) return interaction.update({ content: 'Account not found.', embeds: [], components: [backRow()] });
+        return interaction.update(accountDetailView(acc, 0, viewer));
+      }
+
+      if (id.startsWith('acc:history:view:')) {
+        const acc = getAccountById(Number(id.split(':').pop()), { viewer });
+        if (!acc) return interaction.update({ content: 'Account not found.', embeds: [], components: [backRow()] });
+        return interaction.update(passwordHistoryView(acc, viewer));
+      }
+
+      if (id.startsWith('acc:move:page:')) {
+        const [, , , accountId, page] = id.split(':');
+        const acc = getAccountById(Number(accountId), { viewer });
+        if (!acc) return interaction.update({ content: 'Account not found.', embeds: [], components: [backRow()] });
+        return interaction.update(accountDetailView(acc, Number(page), viewer));
+      }
+
+      // Trash (trash:view:<page>, trash:restore|purge:<map|account>:<id>)
+      if (id.startsWith('trash:view:')) return interaction.update(trashView(Number(id.split(':').pop()), viewer));
+      if (id.startsWith('trash:restore:') || id.startsWith('trash:purge:')) {
+        const [, op, kind, rawId] = id.split(':');
+        const item = kind === 'map' ? getTrashedMapById(Number(rawId)) : getTrashedAccountById(Number(rawId));
+        if (!item || !canAccessMap(kind === 'map' ? item.id : item.map_id, viewer, 'modify')) {
+          return interaction.update({ ...trashView(0, viewer), content: 'That item is no longer in the trash.' });
+        }
+        const map = kind === 'map' ? item : getMapById(item.map_id, { includeDeleted: true });
+        const account = kind === 'map' ? undefined : item;
+        if (op === 'restore') {
+          try {
+            if (kind === 'map') restoreMapById(item.id); else restoreAccountById(item.id);
+          } catch (e) {
+            if (String(e.message).includes('UNIQUE')) {
+              return interaction.reply({ content: `Cannot restore: "${item.login}" already exists in "${map.name}".`, ephemeral: true });
+            }
+            throw e;
+          }
+          logAudit({ ...discordActor(interaction), action: `${kind}.restore`, map, account });
+          return interaction.update({ ...trashView(0, viewer), content: `♻️ Restored ${kind} "${item.name || item.label}".` });
+        }
+        if (kind === 'map') purgeMapById(item.id); else purgeAccountById(item.id);
+        logAudit({ ...discordActor(interaction), action: `${kind}.purge`, map, account });
+        return interaction.update({ ...trashView(0, viewer), content: `🔥 Permanently deleted ${kind} "${item.name || item.label}".` });
       }
 
       // Delete by ID (from detail view)
+      // (acc:delete:confirm:<accountId>:<expiresAt>)
+      if (id.startsWith('acc:delete:confirm:')) {
+        const [, , , accountId, expiresAt] = id.split(':');
+        if (isExpired(expiresAt)) return interaction.update(confirmExpired());
+        const acc = getAccountById(Number(accountId), { viewer, level: 'modify' });
+        if (!acc) return interaction.update({ content: 'Already deleted.', embeds: [], components: [backRow()] });
+        removeAccountById({ id: acc.id });
+        logAudit({ ...discordActor(interaction), action: 'account.delete', map: getMapById(acc.map_id), account: acc });
+        return interaction.update({ content: `🗑️ Moved account "${acc.login}" to the trash.`, embeds: [], components: [backRow()] });
+      }
       if (id.startsWith('acc:delete:')) {
-        const accountId = Number(id.split(':').pop());
-        const acc = getAccountById(accountId);
+        const acc = getAccountById(Number(id.split(':').pop()), { viewer, level: 'modify' });
         if (!acc) return interaction.update({ content: 'Already deleted.', embeds: [], components: [backRow()] });
-        removeAccountById({ id: accountId });
-        return interaction.update({ content: `🗑️ Deleted account "${acc.login}".`, embeds: [], components: [backRow()] });
+        const map = getMapById(acc.map_id);
+        const expiresAt = confirmDeadline();
+        return interaction.update(confirmView({
+          title: `Delete account "${truncate(acc.label, 200)}"?`,
+          description: `Login **${acc.login}** in map **${map.name}** will be moved to the trash.`,
+          confirmId: `acc:delete:confirm:${acc.id}:${expiresAt}`,
+          confirmLabel: 'Delete account',
+          expiresAt
+        }));
+      }
+
+      // Map delete confirm (map:delete:confirm:<mapId>:<expiresAt>); may ask for the name first
+      if (id.startsWith('map:delete:confirm:')) {
+        const [, , , mapId, expiresAt] = id.split(':');
+        if (isExpired(expiresAt)) return interaction.update(confirmExpired());
+        const map = getMapById(Number(mapId), { viewer, level: 'modify' });
+        if (!map) return interaction.update({ content: 'Map not found.', embeds: [], components: [backRow()] });
+        if (requireMapNameConfirm) {
+          const modal = new ModalBuilder().setCustomId(`map:delete:modal:${map.id}:${expiresAt}`).setTitle('Confirm map deletion');
+          const nameInput = new TextInputBuilder()
+            .setCustomId('map_name')
+            .setLabel(truncate(`Type "${map.name}" to confirm`, 45))
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(64);
+          modal.addComponents(new ActionRowBuilder().addComponents(nameInput));
+          return interaction.showModal(modal);
+        }
+        return interaction.update(trashMapFromDiscord(interaction, map));
       }
     }
 
@@ -376,18 +2976,114 @@ client.on('interactionCreate', async (interaction) => {
       const id = interaction.customId;
       const value = interaction.values?.[0];
 
+      if (id === 'audit:filter') {
+        if (value.startsWith('more:')) {
+          const [, action, page, optionPage] = value.split(':');
+          return interaction.update(auditView(action, Number(page) || 0, viewer, Number(optionPage) || 0));
+        }
+        return interaction.update(auditView(value, 0, viewer));
+      }
+
+      if (id === 'trash:select') {
+        const [kind, rawId] = String(value).split(':');
+        const item = kind === 'map' ? getTrashedMapById(Number(rawId)) : getTrashedAccountById(Number(rawId));
+        if (!item || !canAccessMap(kind === 'map' ? item.id : item.map_id, viewer, 'modify')) {
+          return interaction.update({ ...trashView(0, viewer), content: 'That item is no longer in the trash.' });
+        }
+        return interaction.update(trashItemView(kind, item, viewer));
+      }
+
       if (id === 'maps:delete:select') {
         if (value === 'none') return interaction.update({ content: 'No maps to delete.', embeds: [], components: [backRow()] });
-        const map = getMapById(Number(value));
+        const map = getMapById(Number(value), { viewer, level: 'modify' });
+        if (!map) return interaction.update({ content: 'Map not found.', embeds: [], components: [backRow()] });
+        const accountCount = countAccountsInMap(map.id);
+        const expiresAt = confirmDeadline();
+        return interaction.update(confirmView({
+          title: `Delete map "${truncate(map.name, 200)}"?`,
+          description: `The map and its **${accountCount}** account${accountCount === 1 ? '' : 's'} will be moved to the trash.` +
+            (requireMapNameConfirm ? '\nYou will be asked to type the map name.' : ''),
+          confirmId: `map:delete:confirm:${map.id}:${expiresAt}`,
+          confirmLabel: 'Delete map',
+          expiresAt
+        }));
+      }
+
+      // Edit map (prefilled modal)
+      if (id === 'maps:edit:select') {
+        if (value === 'none') return interaction.update({ content: 'No maps found.', embeds: [], components: [backRow()] });
+        const map = getMapById(Number(value), { viewer, level: 'modify' });
+        if (!map) return interaction.update({ content: 'Map not found.', embeds: [], components: [backRow()] });
+
+        const modal = new ModalBuilder().setCustomId(`map:edit:modal:${map.id}`).setTitle(truncate(`Edit ${map.name}`, 45));
+        const nameInput = new TextInputBuilder()
+          .setCustomId('map_name')
+          .setLabel('Map name')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true)
+          .setMaxLength(64)
+          .setValue(map.name);
+        const descriptionInput = new TextInputBuilder()
+          .setCustomId('description')
+          .setLabel('Description (optional)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(false)
+          .setMaxLength(200);
+        const colorInput = new TextInputBuilder()
+          .setCustomId('color')
+          .setLabel('Color (optional, e.g. #2B7FFF)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setMaxLength(7);
+        const iconInput = new TextInputBuilder()
+          .setCustomId('icon')
+          .setLabel('Icon emoji (optional)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setMaxLength(16);
+        const historyInput = new TextInputBuilder()
+          .setCustomId('history_limit')
+          .setLabel(`Password history to keep (blank = ${PASSWORD_HISTORY_LIMIT})`)
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setMaxLength(3);
+        if (map.description) descriptionInput.setValue(map.description);
+        if (map.color) colorInput.setValue(map.color);
+        if (map.icon) iconInput.setValue(map.icon);
+        if (map.password_history_limit != null) historyInput.setValue(String(map.password_history_limit));
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(nameInput),
+          new ActionRowBuilder().addComponents(descriptionInput),
+          new ActionRowBuilder().addComponents(colorInput),
+          new ActionRowBuilder().addComponents(iconInput),
+          new ActionRowBuilder().addComponents(historyInput)
+        );
+        return interaction.showModal(modal);
+      }
+
+      // Map access (admins): one "role <id>: level" or "user <name>: level" per line
+      if (id === 'maps:access:select') {
+        if (value === 'none') return interaction.update({ content: 'No maps found.', embeds: [], components: [backRow()] });
+        const map = getMapById(Number(value), { viewer, level: 'modify' });
         if (!map) return interaction.update({ content: 'Map not found.', embeds: [], components: [backRow()] });
-        deleteMapById(map.id);
-        return interaction.update({ content: `🗑️ Deleted map "${map.name}" and all accounts.`, embeds: [], components: [backRow()] });
+        const modal = new ModalBuilder().setCustomId(`map:access:modal:${map.id}`).setTitle(truncate(`Access to ${map.name}`, 45));
+        const entriesInput = new TextInputBuilder()
+          .setCustomId('entries')
+          .setLabel('role <id>: level / user <name>: level')
+          .setStyle(TextInputStyle.Paragraph)
+          .setPlaceholder('role 123456789012345678: reveal\nuser alice: view\n(blank = everyone)')
+          .setRequired(false)
+          .setMaxLength(4000);
+        const current = formatMapAccess(listMapAccess(map.id));
+        if (current) entriesInput.setValue(truncate(current, 4000));
+        modal.addComponents(new ActionRowBuilder().addComponents(entriesInput));
+        return interaction.showModal(modal);
       }
 
       // Add (after choosing map, show modal)
       if (id === 'acc:add:select') {
         if (value === 'none') return interaction.update({ content: 'No maps found.', embeds: [], components: [backRow()] });
-        const map = getMapById(Number(value));
+        const map = getMapById(Number(value), { viewer, level: 'modify' });
         if (!map) return interaction.update({ content: 'Map not found.', embeds: [], components: [backRow()] });
 
         const modal = new ModalBuilder().setCustomId(`acc:add:modal:${map.id}`).setTitle(`Add to ${map.name}`);
@@ -410,7 +3106,7 @@ client.on('interactionCreate', async (interaction) => {
       // Bulk add modal
       if (id === 'acc:bulk:select') {
         if (value === 'none') return interaction.update({ content: 'No maps found.', embeds: [], components: [backRow()] });
-        const map = getMapById(Number(value));
+        const map = getMapById(Number(value), { viewer, level: 'modify' });
         if (!map) return interaction.update({ content: 'Map not found.', embeds: [], components: [backRow()] });
 
         const modal = new ModalBuilder().setCustomId(`acc:bulk:modal:${map.id}`).setTitle(`Bulk Add to ${map.name}`);
@@ -420,14 +3116,21 @@ client.on('interactionCreate', async (interaction) => {
           .setStyle(TextInputStyle.Paragraph)
           .setRequired(true)
           .setMaxLength(3500);
-        modal.addComponents(new ActionRowBuilder().addComponents(pairs));
+        const mode = new TextInputBuilder()
+          .setCustomId('mode')
+          .setLabel('Mode: add, preview or overwrite')
+          .setStyle(TextInputStyle.Short)
+          .setPlaceholder('add')
+          .setRequired(false)
+          .setMaxLength(10);
+        modal.addComponents(new ActionRowBuilder().addComponents(pairs), new ActionRowBuilder().addComponents(mode));
         return interaction.showModal(modal);
       }
 
       // Remove modal: ask for login
       if (id === 'acc:remove:select') {
         if (value === 'none') return interaction.update({ content: 'No maps found.', embeds: [], components: [backRow()] });
-        const map = getMapById(Number(value));
+        const map = getMapById(Number(value), { viewer, level: 'modify' });
         if (!map) return interaction.update({ content: 'Map not found.', embeds: [], components: [backRow()] });
 
         const modal = new ModalBuilder().setCustomId(`acc:remove:modal:${map.id}`).setTitle(`Remove from ${map.name}`);
@@ -444,44 +3147,70 @@ client.on('interactionCreate', async (interaction) => {
       // List accounts -> choose map -> show list + selector for details
       if (id === 'maps:accounts:select') {
         if (value === 'none') return interaction.update({ content: 'No maps found.', embeds: [], components: [backRow()] });
-        const map = getMapById(Number(value));
+        const map = getMapById(Number(value), { viewer });
         if (!map) return interaction.update({ content: 'Map not found.', embeds: [], components: [backRow()] });
-        const accounts = listAccountsByMapId(map.id, 100);
-        const embed = accountsEmbed(map, accounts);
-        const sel = new StringSelectMenuBuilder()
-          .setCustomId(`acc:detail:select:${map.id}`)
-          .setPlaceholder('Open account details…')
-          .setOptions(
-            accounts.slice(0, 25).map(a => ({
-              label: truncate(a.label || a.login, 100),
-              description: truncate(a.login, 100),
-              value: String(a.id)
-            }))
-          );
-        const detailRow = new ActionRowBuilder().addComponents(sel);
-        return interaction.update({ embeds: [embed], components: [detailRow, backRow()] });
+        return interaction.update(accountsView(map, 0, viewer));
       }
 
       // Open account detail
       if (id.startsWith('acc:detail:select:')) {
         const accountId = Number(value);
-        const acc = getAccountById(accountId);
+        const acc = getAccountById(accountId, { viewer });
         if (!acc) return interaction.update({ content: 'Account not found.', embeds: [], components: [backRow()] });
-        const map = getMapById(acc.map_id);
-        const embed = new EmbedBuilder()
-          .setTitle(`Account: ${acc.label || acc.login}`)
-          .setColor(0x6F7AE3)
-          .addFields(
-            { name: 'Map', value: map?.name || '—', inline: true },
-            { name: 'Login', value: acc.login, inline: false },
-            { name: 'Password', value: mask(acc.password), inline: false }
-          )
-          .setTimestamp(new Date(acc.created_at));
-        const row = new ActionRowBuilder().addComponents(
-          new ButtonBuilder().setCustomId(`acc:reveal:${acc.id}`).setLabel('Reveal Password').setStyle(ButtonStyle.Primary).setEmoji('👁️'),
-          new ButtonBuilder().setCustomId(`acc:delete:${acc.id}`).setLabel('Delete').setStyle(ButtonStyle.Danger).setEmoji('🗑️')
-        );
-        return interaction.update({ embeds: [embed], components: [row, backRow()] });
+        return interaction.update(accountDetailView(acc, 0, viewer));
+      }
+
+      // Restore a previous password (acc:history:restore:<accountId>, value = history id)
+      if (id.startsWith('acc:history:restore:')) {
+        const acc = getAccountById(Number(id.split(':').pop()), { viewer, level: 'modify' });
+        if (!acc) return interaction.update({ content: 'Account not found.', embeds: [], components: [backRow()] });
+        const entry = getPasswordHistoryEntry(acc.id, Number(value));
+        if (!entry || !restorePasswordVersion(acc.id, entry.id, discordActor(interaction))) {
+          return interaction.reply({ content: 'That password version no longer exists.', ephemeral: true });
+        }
+        logAudit({ ...discordActor(interaction), action: 'account.password_restore', map: getMapById(acc.map_id), account: acc, details: `version from ${entry.created_at}` });
+        return interaction.update({ ...passwordHistoryView(acc, viewer), content: `♻️ Restored the password replaced on ${entry.created_at} UTC.` });
+      }
+
+      // Status (acc:status:select:<accountId>); anything but active asks for an optional reason
+      if (id.startsWith('acc:status:select:')) {
+        const acc = getAccountById(Number(id.split(':').pop()), { viewer, level: 'modify' });
+        if (!acc) return interaction.update({ content: 'Account not found.', embeds: [], components: [backRow()] });
+        const status = parseStatus(value);
+        if (status !== 'active') {
+          const modal = new ModalBuilder().setCustomId(`acc:status:modal:${acc.id}:${status}`).setTitle(truncate(`${ACCOUNT_STATUSES[status].label}: ${acc.login}`, 45));
+          const reasonInput = new TextInputBuilder()
+            .setCustomId('reason')
+            .setLabel('Reason (optional)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false)
+            .setMaxLength(STATUS_REASON_MAX_LENGTH);
+          if (acc.status === status && acc.status_reason) reasonInput.setValue(acc.status_reason);
+          modal.addComponents(new ActionRowBuilder().addComponents(reasonInput));
+          return interaction.showModal(modal);
+        }
+        setAccountStatus(acc.id, status);
+        logAudit({ ...discordActor(interaction), action: 'account.status', map: getMapById(acc.map_id), account: acc, details: `${acc.status} → ${status}` });
+        return interaction.update(accountDetailView(getAccountById(acc.id), 0, viewer));
+      }
+
+      // Move account (acc:move:select:<accountId>)
+      if (id.startsWith('acc:move:select:')) {
+        const acc = getAccountById(Number(id.split(':').pop()), { viewer, level: 'modify' });
+        if (!acc) return interaction.update({ content: 'Account not found.', embeds: [], components: [backRow()] });
+        const from = getMapById(acc.map_id);
+        const to = getMapById(Number(value), { viewer, level: 'modify' });
+        if (!to) return interaction.update({ content: 'Map not found.', embeds: [], components: [backRow()] });
+        try {
+          moveAccountToMap({ id: acc.id, mapId: to.id });
+        } catch (e) {
+          if (String(e.message).includes('UNIQUE')) {
+            return interaction.reply({ content: `Duplicate: "${acc.login}" already exists in "${to.name}".`, ephemeral: true });
+          }
+          throw e;
+        }
+        logAudit({ ...discordActor(interaction), action: 'account.move', map: to, account: acc, details: `from ${from?.name ?? acc.map_id}` });
+        return interaction.update({ ...accountDetailView(getAccountById(acc.id), 0, viewer), content: `📦 Moved to "${to.name}".` });
       }
     }
 
@@ -489,26 +3218,90 @@ client.on('interactionCreate', async (interaction) => {
     if (interaction.type === InteractionType.ModalSubmit) {
       const id = interaction.customId;
 
+      if (id === 'search:modal') {
+        const query = interaction.fields.getTextInputValue('query').trim();
+        if (!query) return interaction.reply({ content: 'Search text is required.', ephemeral: true });
+        return interaction.reply({ ...searchView(query, 0, viewer), ephemeral: true });
+      }
+
+      // (map:delete:modal:<mapId>:<expiresAt>)
+      if (id.startsWith('map:delete:modal:')) {
+        const [, , , mapId, expiresAt] = id.split(':');
+        const respond = payload => interaction.isFromMessage() ? interaction.update(payload) : interaction.reply({ ...payload, ephemeral: true });
+        if (isExpired(expiresAt)) return respond(confirmExpired());
+        const map = getMapById(Number(mapId), { viewer, level: 'modify' });
+        if (!map) return respond({ content: 'Map not found.', embeds: [], components: [backRow()] });
+        const typed = interaction.fields.getTextInputValue('map_name').trim();
+        if (typed.toLowerCase() !== map.name.toLowerCase()) {
+          return interaction.reply({ content: `Name did not match "${map.name}". Nothing was deleted.`, ephemeral: true });
+        }
+        return respond(trashMapFromDiscord(interaction, map));
+      }
+
+      if (id.startsWith('map:access:modal:')) {
+        const map = getMapById(Number(id.split(':').pop()), { viewer, level: 'modify' });
+        if (!map) return interaction.reply({ content: 'Map not found.', ephemeral: true });
+        try {
+          const entries = parseMapAccess(interaction.fields.getTextInputValue('entries'));
+          setMapAccess(map.id, entries);
+          logAudit({ ...discordActor(interaction), action: 'map.access', map, details: mapAccessAuditDetails(entries) });
+          return interaction.reply({
+            content: entries.length ? `🛡️ "${map.name}" is now limited to ${entries.length} role/user entr${entries.length === 1 ? 'y' : 'ies'} plus admins.` : `🛡️ "${map.name}" is open to everyone again.`,
+            ephemeral: true
+          });
+        } catch (e) {
+          return interaction.reply({ content: `Error: ${e.message}`, ephemeral: true });
+        }
+      }
+
       if (id === 'map:create:modal') {
         const name = interaction.fields.getTextInputValue('map_name').trim();
         if (!name) return interaction.reply({ content: 'Map name is required.', ephemeral: true });
         try {
-          createMap(name);
+          const res = createMap(name, interaction.guildId);
+          logAudit({ ...discordActor(interaction), action: 'map.create', map: { id: Number(res.lastInsertRowid), name } });
           return interaction.reply({ content: `🗺️ Map "${name}" created.`, ephemeral: true });
         } catch (e) {
           if (String(e.message).includes('UNIQUE')) {
-            return interaction.reply({ content: `Map "${name}" already exists.`, ephemeral: true });
+            return interaction.reply({ content: mapNameTakenMessage(name, interaction.guildId), ephemeral: true });
+          }
+          return interaction.reply({ content: `Error: ${e.message}`, ephemeral: true });
+        }
+      }
+
+      if (id.startsWith('map:edit:modal:')) {
+        const map = getMapById(Number(id.split(':').pop()), { viewer, level: 'modify' });
+        if (!map) return interaction.reply({ content: 'Map not found.', ephemeral: true });
+        const name = interaction.fields.getTextInputValue('map_name').trim();
+        if (!name) return interaction.reply({ content: 'Map name is required.', ephemeral: true });
+        try {
+          updateMap({
+            id: map.id,
+            name,
+            description: interaction.fields.getTextInputValue('description'),
+            color: interaction.fields.getTextInputValue('color'),
+            icon: interaction.fields.getTextInputValue('icon'),
+            historyLimit: interaction.fields.getTextInputValue('history_limit')
+          });
+          pruneMapPasswordHistory(map.id);
+          logAudit({ ...discordActor(interaction), action: 'map.edit', map: { id: map.id, name }, details: name !== map.name ? `renamed from ${map.name}` : null });
+          return interaction.reply({ content: `🗺️ Map "${name}" updated.`, ephemeral: true });
+        } catch (e) {
+          if (String(e.message).includes('UNIQUE')) {
+            return interaction.reply({ content: mapNameTakenMessage(name, interaction.guildId), ephemeral: true });
           }
           return interaction.reply({ content: `Error: ${e.message}`, ephemeral: true });
         }
       }
 
       if (id.startsWith('acc:add:modal:')) {
-        const mapId = Number(id.split(':').pop());
+        const map = getMapById(Number(id.split(':').pop()), { viewer, level: 'modify' });
+        if (!map) return interaction.reply({ content: 'Map not found.', ephemeral: true });
         const pair = interaction.fields.getTextInputValue('pair').trim();
         const label = (interaction.fields.getTextInputValue('label') || '').trim() || null;
         try {
-          addAccountPairToMap({ mapId, pair, label });
+          const res = addAccountPairToMap({ mapId: map.id, pair, label });
+          logAudit({ ...discordActor(interaction), action: 'account.add', map, account: getAccountById(Number(res.lastInsertRowid)) });
           return interaction.reply({ content: `✅ Added to map.`, ephemeral: true });
         } catch (e) {
           if (String(e.message).includes('UNIQUE')) {
@@ -518,29 +3311,99 @@ client.on('interactionCreate', async (interaction) => {
         }
       }
 
-      if (id.startsWith('acc:bulk:modal:')) {
-        const mapId = Number(id.split(':').pop());
-        const pairsText = interaction.fields.getTextInputValue('pairs');
+      if (id.startsWith('acc:edit:modal:')) {
+        const acc = getAccountById(Number(id.split(':').pop()), { viewer, level: 'modify' });
+        if (!acc) return interaction.reply({ content: 'Account not found.', ephemeral: true });
+        const login = interaction.fields.getTextInputValue('login').trim();
+        const label = (interaction.fields.getTextInputValue('label') || '').trim() || null;
+        const password = (interaction.fields.getTextInputValue('password') || '').trim();
+        if (!login) return interaction.reply({ content: 'Login is required.', ephemeral: true });
         try {
-          const res = bulkAddPairs({ mapId, pairsText });
-          const msg =
-            `📥 Bulk add result:\n` +
-            `• Added: ${res.added}\n` +
-            `• Duplicates: ${res.duplicates}\n` +
-            (res.errors.length ? `• Errors: ${res.errors.length}` : '');
-          return interaction.reply({ content: msg, ephemeral: true });
+          const totp = parseTotpEdit(interaction.fields.getTextInputValue('totp'));
+          db.transaction(() => {
+            updateAccount({ id: acc.id, login, label, password, actor: discordActor(interaction) });
+            if (totp !== undefined) setAccountTotp(acc.id, totp, login);
+          })();
+          const changed = [
+            login !== acc.login && 'login',
+            label !== acc.raw_label && 'label',
+            password && 'password',
+            totp !== undefined && (totp ? '2FA secret' : '2FA secret removed')
+          ].filter(Boolean);
+          logAudit({ ...discordActor(interaction), action: 'account.edit', map: getMapById(acc.map_id), account: { ...acc, login }, details: changed.join(', ') || 'no changes' });
+          return interaction.reply({ content: `✏️ Updated "${login}".`, ephemeral: true });
         } catch (e) {
+          if (String(e.message).includes('UNIQUE')) {
+            return interaction.reply({ content: `Duplicate: that login already exists in this map.`, ephemeral: true });
+          }
           return interaction.reply({ content: `Error: ${e.message}`, ephemeral: true });
         }
       }
 
-      if (id.startsWith('acc:remove:modal:')) {
+      // (acc:status:modal:<accountId>:<status>)
+      if (id.startsWith('acc:status:modal:')) {
+        const [, , , accountId, status] = id.split(':');
+        const respond = payload => interaction.isFromMessage() ? interaction.update(payload) : interaction.reply({ ...payload, ephemeral: true });
+        const acc = getAccountById(Number(accountId), { viewer, level: 'modify' });
+        if (!acc) return respond({ content: 'Account not found.', embeds: [], components: [backRow()] });
+        const reason = (interaction.fields.getTextInputValue('reason') || '').trim();
+        setAccountStatus(acc.id, parseStatus(status), reason);
+        logAudit({
+          ...discordActor(interaction), action: 'account.status', map: getMapById(acc.map_id), account: acc,
+          details: `${acc.status} → ${status}${reason ? `: ${reason}` : ''}`
+        });
+        return respond(accountDetailView(getAccountById(acc.id), 0, viewer));
+      }
+
+      if (id.startsWith('acc:data:modal:')) {
+        const acc = getAccountById(Number(id.split(':').pop()), { viewer, level: 'modify' });
+        if (!acc) return interaction.reply({ content: 'Account not found.', ephemeral: true });
+        try {
+          const data = buildAccountData({
+            notes: interaction.fields.getTextInputValue('notes'),
+            tags: interaction.fields.getTextInputValue('tags'),
+            fields: interaction.fields.getTextInputValue('fields')
+          });
+          updateAccountData(acc.id, data);
+          logAudit({ ...discordActor(interaction), action: 'account.edit', map: getMapById(acc.map_id), account: acc, details: accountDataChanges(acc, data) });
+          return interaction.reply({ ...accountDetailView(getAccountById(acc.id), 0, viewer), ephemeral: true });
+        } catch (e) {
+          return interaction.reply({ content: `Error: ${e.message}`, ephemeral: true });
+        }
+      }
+
+      if (id.startsWith('acc:bulk:modal:')) {
         const mapId = Number(id.split(':').pop());
+        const pairsText = interaction.fields.getTextInputValue('pairs');
+        const mode = (interaction.fields.getTextInputValue('mode') || '').trim().toLowerCase() || 'add';
+        if (!BULK_MODES.includes(mode)) {
+          return interaction.reply({ content: `Unknown mode "${mode}". Use add, preview or overwrite.`, ephemeral: true });
+        }
+        const map = getMapById(mapId, { viewer, level: 'modify' });
+        if (!map) return interaction.reply({ content: 'Map not found.', ephemeral: true });
+        try {
+          if (mode === 'preview') {
+            const res = bulkAddPairs({ mapId, pairsText, dryRun: true });
+            const token = storePendingBulk({ mapId, entries: pairLines(pairsText), userId: interaction.user.id });
+            return interaction.reply({ ...bulkReportView(map, res, token), ephemeral: true });
+          }
+          const res = bulkAddPairs({ mapId, pairsText, overwrite: mode === 'overwrite', actor: discordActor(interaction) });
+          logAudit({ ...discordActor(interaction), action: 'account.bulk_add', map, details: bulkAuditDetails(mode, res) });
+          return interaction.reply({ ...bulkReportView(map, res), ephemeral: true });
+        } catch (e) {
+          return interaction.reply({ content: `Error: ${e.message}`, ephemeral: true });
+        }
+      }
+
+      if (id.startsWith('acc:remove:modal:')) {
+        const map = getMapById(Number(id.split(':').pop()), { viewer, level: 'modify' });
+        if (!map) return interaction.reply({ content: 'Map not found.', ephemeral: true });
         const login = interaction.fields.getTextInputValue('login').trim();
         try {
-          const res = removeAccountByLogin({ mapId, login });
+          const res = removeAccountByLogin({ mapId: map.id, login });
           if (res.changes === 0) return interaction.reply({ content: `Not found: ${login}`, ephemeral: true });
-          return interaction.reply({ content: `🗑️ Removed: ${login}`, ephemeral: true });
+          logAudit({ ...discordActor(interaction), action: 'account.remove', map, account: { login, map_id: map.id } });
+          return interaction.reply({ content: `🗑️ Moved to trash: ${login}`, ephemeral: true });
         } catch (e) {
           return interaction.reply({ content: `Error: ${e.message}`, ephemeral: true });
         }
@@ -557,9 +3420,49 @@ client.on('interactionCreate', async (interaction) => {
 });
 
 // ---------- Web UI (polished + animated) ----------
+// TRUST_PROXY is "true", a hop count, or addresses/subnets Express understands
+// ("loopback", "10.0.0.0/8,…"); with it set, req.ip and req.secure follow X-Forwarded-*.
+function parseTrustProxy(value) {
+  const s = String(value || '').trim();
+  if (!s || s === 'false') return false;
+  if (s === 'true') return true;
+  if (/^\d+$/.test(s)) return Number(s);
+  return s.split(',').map(p => p.trim()).filter(Boolean);
+}
+
 const app = express();
+app.disable('x-powered-by');
+app.set('trust proxy', parseTrustProxy(TRUST_PROXY));
 app.use(express.urlencoded({ extended: true }));
 
+// Pages use inline <style> but no inline script (see /app.js) and load nothing from other origins
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data:",
+  "frame-ancestors 'none'",
+  "base-uri 'none'",
+  "form-action 'self'"
+].join('; ');
+
+app.use((req, res, next) => {
+  res.set({
+    'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'same-origin',
+    'Cross-Origin-Opener-Policy': 'same-origin'
+  });
+  if (req.secure) res.set('Strict-Transport-Security', 'max-age=15552000');
+  next();
+});
+
+// The REST API authenticates with bearer tokens instead of the session cookie, so it is
+// mounted ahead of the CSRF and session checks; its routes are registered further down
+const api = express.Router();
+app.use('/api/v1', api);
+
 function escapeHTML(str = '') {
   return String(str)
     .replaceAll('&', '&amp;')
@@ -569,8 +3472,363 @@ function escapeHTML(str = '') {
     .replaceAll("'", '&#039;');
 }
 
+// ---------- Web auth (HMAC-signed session cookie) ----------
+const SESSION_COOKIE = 'session';
+const SESSION_TTL_MS = Number(WEB_SESSION_TTL_HOURS) * 60 * 60 * 1000;
+
+function hmac(value) {
+  return crypto.createHmac('sha256', WEB_SESSION_SECRET).update(value).digest('base64url');
+}
+function safeEqual(a, b) {
+  // Compare digests so differing lengths don't short-circuit
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+function parseCookies(header = '') {
+  const out = {};
+  for (const part of String(header).split(';')) {
+    const idx = part.indexOf('=');
+    if (idx <= 0) continue;
+    out[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+  }
+  return out;
+}
+function createSessionToken(username) {
+  const payload = Buffer.from(JSON.stringify({ u: username, exp: Date.now() + SESSION_TTL_MS })).toString('base64url');
+  return `${payload}.${hmac(payload)}`;
+}
+function readSessionToken(token) {
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig || !safeEqual(sig, hmac(payload))) return null;
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!data.exp || data.exp < Date.now()) return null;
+    return data;
+  } catch (_) {
+    return null;
+  }
+}
+// Secure is added whenever the request came in over HTTPS (directly or via a trusted proxy)
+function setCookie(req, res, name, value, { maxAgeMs, sameSite = 'Lax' } = {}) {
+  res.append('Set-Cookie', [
+    `${name}=${encodeURIComponent(value)}`, 'Path=/', 'HttpOnly', `SameSite=${sameSite}`,
+    ...(maxAgeMs !== undefined ? [`Max-Age=${Math.floor(maxAgeMs / 1000)}`] : []),
+    ...(req.secure ? ['Secure'] : [])
+  ].join('; '));
+}
+const GUILD_COOKIE = 'guild';
+function setSessionCookie(req, res, value, maxAgeMs) {
+  setCookie(req, res, SESSION_COOKIE, value, { maxAgeMs });
+}
+
+// WEB_USERNAME is the web admin. WEB_USERS="name:password,..." adds users who only reach the
+// maps their per-map access allows (passwords cannot contain commas).
+function parseWebUsers(str) {
+  const users = new Map([[WEB_USERNAME, { password: WEB_PASSWORD, admin: true }]]);
+  for (const [i, entry] of parseIdList(str).entries()) {
+    const idx = entry.indexOf(':');
+    const name = idx > 0 ? entry.slice(0, idx).trim() : '';
+    if (!name || idx === entry.length - 1 || users.has(name)) {
+      console.error(`WEB_USERS entry #${i + 1} must be a unique name:password pair`);
+      process.exit(1);
+    }
+    users.set(name, { password: entry.slice(idx + 1), admin: false });
+  }
+  return users;
+}
+const webUsers = parseWebUsers(WEB_USERS);
+
+// Checks every user so the response time does not reveal which names exist
+function findWebUser(username, password) {
+  let found = null;
+  for (const [name, user] of webUsers) {
+    const userOk = safeEqual(String(username || ''), name);
+    const passOk = safeEqual(String(password || ''), user.password);
+    if (userOk && passOk) found = name;
+  }
+  return found;
+}
+function webViewer(username, guildId) {
+  return { admin: webUsers.get(username)?.admin === true, roles: [], user: username, guildId };
+}
+// Servers the bot is in plus any that still own maps, for the web UI's server switcher
+function listGuilds() {
+  const ids = new Set([...client.guilds.cache.keys(), ...db.prepare('SELECT DISTINCT guild_id FROM maps').pluck().all()]);
+  return [...ids]
+    .map(id => ({ id, name: client.guilds.cache.get(id)?.name || `Server ${id}` }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+function safeNext(next) {
+  const s = String(next || '');
+  return s.startsWith('/') && !s.startsWith('//') ? s : '/';
+}
+
+// Shared theme (same as home) for pages rendered outside the two main views
+const THEME_CSS = `
+    :root {
+      --bg1: #0f2027; --bg2: #203a43; --bg3: #2c5364;
+      --glass: rgba(255,255,255,.08); --border: rgba(255,255,255,.15);
+      --text: #e9eef3; --muted: #9fb2c0; --accent: #65d6ff; --danger: #ff6b6b; --ok: #52d27d;
+    }
+    html, body { height:100%; margin:0; }
+    body {
+      font-family: Inter, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+      color: var(--text);
+      background: linear-gradient(120deg, var(--bg1), var(--bg2), var(--bg3));
+      background-size: 200% 200%;
+      animation: moveBg 12s ease-in-out infinite;
+    }
+    @keyframes moveBg {
+      0% { background-position: 0% 50%; }
+      50% { background-position: 100% 50%; }
+      100% { background-position: 0% 50%; }
+    }
+    .container { max-width: 1200px; margin: 48px auto; padding: 0 20px; }
+    .heading { display:flex; align-items:center; justify-content:space-between; margin-bottom: 24px; }
+    h1 { margin: 0; font-weight: 700; letter-spacing: .3px; }
+    .card {
+      background: var(--glass);
+      border: 1px solid var(--border);
+      border-radius: 16px;
+      padding: 18px;
+      backdrop-filter: blur(8px);
+      box-shadow: 0 8px 30px rgba(0,0,0,.25);
+    }
+    a { color: var(--accent); text-decoration: none; }
+    a:hover { text-decoration: underline; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 10px 8px; border-bottom: 1px dashed rgba(255,255,255,.12); text-align:left; vertical-align: top; }
+    th { color: var(--muted); font-weight: 600; }
+    button, .btn {
+      cursor: pointer; border: 1px solid var(--border); border-radius:10px;
+      background: rgba(255,255,255,.06); color: var(--text);
+      padding: 8px 12px; transition: .2s transform, .2s background, .2s border;
+    }
+    button:hover, .btn:hover { transform: translateY(-1px); background: rgba(255,255,255,.12); }
+    input[type=text], input[type=password], select, textarea {
+      width: 100%; box-sizing: border-box; padding: 10px 12px; border-radius: 10px; border: 1px solid var(--border);
+      background: rgba(255,255,255,.06); color: var(--text); outline: none;
+    }
+    select option { color: #111; }
+    .muted { color: var(--muted); }
+    .row { display:flex; gap: 10px; align-items:center; }
+    .pill { display:inline-block; padding:4px 8px; background:rgba(255,255,255,.06); border:1px solid var(--border); border-radius:999px; font-size:12px; color: var(--muted); }
+    .error { color: var(--danger); margin: 0 0 12px; }
+`;
+
+// ---------- CSRF (signed double-submit) ----------
+// Each browser gets a random cookie; forms echo back an HMAC of it as `_csrf`. Multipart forms
+// put it in the action's query string (their body is parsed later) and fetch() calls send it
+// as an X-CSRF-Token header.
+const CSRF_COOKIE = 'csrf';
+
+function csrfField(token) {
+  return `<input type="hidden" name="_csrf" value="${token}">`;
+}
+
+app.use((req, res, next) => {
+  let seed = parseCookies(req.headers.cookie)[CSRF_COOKIE];
+  if (!seed) {
+    seed = crypto.randomBytes(18).toString('base64url');
+    // Lax like the session: a Strict seed is not sent on links from other sites, so it would be
+    // replaced there and break the forms already open in other tabs
+    setCookie(req, res, CSRF_COOKIE, seed);
+  }
+  req.csrfToken = hmac(`csrf:${seed}`);
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+  const sent = req.body?._csrf || req.query._csrf || req.get('X-CSRF-Token') || '';
+  if (safeEqual(sent, req.csrfToken)) return next();
+  if (req.path.startsWith('/api/')) return res.status(403).json({ error: 'invalid CSRF token' });
+  res.status(403).send('Invalid or missing CSRF token. Go back, reload the page and try again.');
+});
+
+function loginPage({ error, next, csrfToken }) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Sign in · Account Maps</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <style>${THEME_CSS}
+    .container { max-width: 380px; margin: 12vh auto; }
+    h1 { margin: 0 0 16px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>Account Maps</h1>
+    <div class="card">
+      ${error ? `<p class="error">${escapeHTML(error)}</p>` : ''}
+      <form method="POST" action="/login">${csrfField(csrfToken)}
+        <input type="hidden" name="next" value="${escapeHTML(next)}">
+        <label>Username<br><input type="text" name="username" autocomplete="username" required autofocus></label>
+        <div style="height:8px"></div>
+        <label>Password<br><input type="password" name="password" autocomplete="current-password" required></label>
+        <div style="height:12px"></div>
+        <button>Sign in</button>
+      </form>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+app.get('/login', (req, res) => {
+  res.send(loginPage({ next: safeNext(req.query.next), csrfToken: req.csrfToken }));
+});
+
+app.post('/login', (req, res) => {
+  const next = safeNext(req.body.next);
+  const username = findWebUser(req.body.username, req.body.password);
+  if (!username) {
+    return res.status(401).send(loginPage({ error: 'Invalid username or password.', next, csrfToken: req.csrfToken }));
+  }
+  setSessionCookie(req, res, createSessionToken(username), SESSION_TTL_MS);
+  res.redirect(next);
+});
+
+app.post('/logout', (req, res) => {
+  setSessionCookie(req, res, '', 0);
+  res.redirect('/login');
+});
+
+// ---------- Page script ----------
+// The only script the pages run: buttons carry data-action (plus data-id etc.), forms and
+// submit buttons carry data-confirm, selects that submit on change carry data-autosubmit.
+// Stored values only ever reach it through data-* attributes, never as script source.
+const APP_JS = `
+const totpTimers = {};
+const actions = {
+  async reveal(btn) {
+    const el = document.getElementById('pw-' + btn.dataset.id);
+    if (!el) return;
+    el.textContent = '…';
+    try {
+      const r = await fetch('/api/account/' + btn.dataset.id);
+      if (!r.ok) throw new Error('HTTP ' + r.status);
+      const d = await r.json();
+      el.textContent = (d.password || '—') + (d.secret ? ' · secret: ' + d.secret : '');
+    } catch (e) {
+      el.textContent = 'error';
+      alert('Failed to reveal password: ' + e.message);
+    }
+  },
+  async 'claim-free'(btn) {
+    const el = document.getElementById('free-account');
+    el.hidden = false;
+    el.textContent = '…';
+    try {
+      const csrf = document.querySelector('meta[name="csrf-token"]').content;
+      const r = await fetch('/api/map/' + btn.dataset.mapId + '/claim-free', { method: 'POST', headers: { 'X-CSRF-Token': csrf } });
+      const d = await r.json();
+      if (!r.ok) throw new Error(d.error || 'HTTP ' + r.status);
+      el.textContent = 'Claimed ' + d.login + ' / ' + d.password + ' (reload to see it marked as claimed)';
+    } catch (e) {
+      el.textContent = e.message;
+    }
+  },
+  async totp(btn) {
+    const id = btn.dataset.id;
+    const el = document.getElementById('totp-' + id);
+    if (!el) return;
+    clearInterval(totpTimers[id]);
+    el.textContent = '…';
+    try {
+      const r = await fetch('/api/account/' + id + '/totp');
+      if (!r.ok) throw new Error('HTTP ' + r.status);
+      const d = await r.json();
+      let left = d.remaining;
+      const render = () => { el.textContent = left > 0 ? '2FA ' + d.code + ' · ' + left + 's' : '2FA code expired'; };
+      render();
+      totpTimers[id] = setInterval(() => { left--; render(); if (left <= 0) clearInterval(totpTimers[id]); }, 1000);
+    } catch (e) {
+      el.textContent = 'error';
+      alert('Failed to get 2FA code: ' + e.message);
+    }
+  },
+  'select-all'(box) {
+    document.querySelectorAll('input[name="ids"]').forEach(b => { b.checked = box.checked; });
+  },
+  'toggle-edit'(btn) {
+    const row = document.getElementById('edit-' + btn.dataset.id);
+    if (row) row.hidden = !row.hidden;
+  },
+  async 'copy-login'(btn) {
+    try { await navigator.clipboard.writeText(btn.dataset.login); alert('Login copied'); }
+    catch { alert('Copy failed'); }
+  }
+};
+document.addEventListener('click', e => {
+  const el = e.target.closest('[data-action]');
+  if (el && actions[el.dataset.action]) actions[el.dataset.action](el);
+});
+// The server parses bulk files as they arrive, so upload progress is also import progress;
+// once the upload is done the result page it returns replaces this one
+function uploadWithProgress(form, submitter) {
+  const status = form.querySelector('[data-progress]');
+  const data = new FormData(form);
+  if (submitter?.name) data.append(submitter.name, submitter.value);
+  const xhr = new XMLHttpRequest();
+  xhr.open('POST', form.action);
+  xhr.upload.onprogress = ev => {
+    if (ev.lengthComputable) status.textContent = 'Uploading… ' + Math.round(ev.loaded / ev.total * 100) + '%';
+  };
+  xhr.upload.onload = () => { status.textContent = 'Importing…'; };
+  xhr.onload = () => {
+    // Errors redirect back to a normal page; follow those instead of writing them in place
+    if (xhr.responseURL && new URL(xhr.responseURL).pathname !== new URL(form.action).pathname) return location.assign(xhr.responseURL);
+    document.open(); document.write(xhr.responseText); document.close();
+  };
+  xhr.onerror = () => { status.textContent = 'Upload failed'; form.querySelectorAll('button').forEach(b => { b.disabled = false; }); };
+  form.querySelectorAll('button').forEach(b => { b.disabled = true; });
+  status.textContent = 'Uploading…';
+  xhr.send(data);
+}
+document.addEventListener('submit', e => {
+  const message = e.submitter?.dataset.confirm || e.target.dataset.confirm;
+  if (message && !confirm(message)) return e.preventDefault();
+  if (e.target.matches('form[data-upload-progress]')) {
+    e.preventDefault();
+    uploadWithProgress(e.target, e.submitter);
+  }
+});
+document.addEventListener('change', e => {
+  if (e.target.matches('select[data-autosubmit]')) e.target.form.submit();
+});
+`;
+
+app.get('/app.js', (req, res) => {
+  res.type('js').send(APP_JS);
+});
+
+// Everything registered below this point requires a valid session of a user that is still configured
+app.use((req, res, next) => {
+  const session = readSessionToken(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  if (session && webUsers.has(session.u)) {
+    const guilds = listGuilds();
+    const chosen = parseCookies(req.headers.cookie)[GUILD_COOKIE];
+    const current = guilds.find(g => g.id === chosen) || guilds.find(g => g.id === GUILD_ID) || guilds[0];
+    req.webUser = session.u;
+    req.guilds = guilds;
+    req.guildId = current?.id;
+    req.viewer = webViewer(session.u, req.guildId);
+    return next();
+  }
+  if (req.path.startsWith('/api/')) return res.status(401).json({ error: 'unauthorized' });
+  res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+});
+
 app.get('/', (req, res) => {
-  const maps = listMapsWithCounts();
+  const maps = listMapsWithCounts(req.viewer);
+  const exportable = listMapsWithCounts(req.viewer, 'reveal');
+  const q = String(req.query.q || '').trim();
+  const results = q ? searchAccounts(q, 500, 0, req.viewer) : [];
+  const resultsByMap = new Map();
+  for (const r of results) {
+    if (!resultsByMap.has(r.map_id)) resultsByMap.set(r.map_id, { name: r.map_name, accounts: [] });
+    resultsByMap.get(r.map_id).accounts.push(r);
+  }
   res.send(`<!doctype html>
 <html>
 <head>
@@ -625,120 +3883,1085 @@ app.get('/', (req, res) => {
       padding: 8px 12px; transition: .2s transform, .2s background, .2s border;
     }
     button:hover, .btn:hover { transform: translateY(-1px); background: rgba(255,255,255,.12); }
-    input[type=text] {
+    input[type=text], input[type=password], select {
+      width: 100%; box-sizing: border-box; padding: 10px 12px; border-radius: 10px; border: 1px solid var(--border);
+      background: rgba(255,255,255,.06); color: var(--text); outline: none;
+    }
+    select option { color: #111; }
+    .muted { color: var(--muted); }
+    .row { display:flex; gap: 10px; align-items:center; }
+    .dot { display:inline-block; width:10px; height:10px; border-radius:50%; margin-right:6px; }
+    .desc { font-size: 13px; margin-top: 2px; }
+    .search { margin-bottom: 20px; }
+    .search h3 { margin: 14px 0 6px; }
+    .search ul { margin: 0; padding-left: 18px; }
+  </style>
+  <script src="/app.js" defer></script>
+</head>
+<body>
+  <div class="container">
+    <div class="heading">
+      <h1>Account Maps</h1>
+      <div class="row">
+        <a class="btn" href="/audit">Audit log</a>
+        <a class="btn" href="/trash">Trash</a>
+        <a class="btn" href="/tokens">API tokens</a>
+        <a class="btn" href="https://discord.com/channels/@me" target="_blank">Open Discord</a>
+        ${guildSwitcher(req)}
+        <form method="POST" action="/logout">${csrfField(req.csrfToken)}<button>Log out</button></form>
+      </div>
+    </div>
+
+    <div class="card search">
+      <form method="GET" action="/" class="row">
+        <input type="text" name="q" value="${escapeHTML(q)}" placeholder="Search all maps by login or label">
+        <button>Search</button>
+        ${q ? '<a class="btn" href="/">Clear</a>' : ''}
+      </form>
+      ${q ? (results.length ? [...resultsByMap.entries()].map(([mapId, group]) => `
+        <h3><a href="/map/${mapId}">${escapeHTML(group.name)}</a> <span class="muted">(${group.accounts.length})</span></h3>
+        <ul>
+          ${group.accounts.map(a => `<li>${escapeHTML(a.label)} <span class="muted">— ${escapeHTML(a.login || '')}</span></li>`).join('')}
+        </ul>
+      `).join('') : `<p class="muted">No accounts match "${escapeHTML(q)}".</p>`) : ''}
+    </div>
+
+    <div class="grid">
+      <div class="card">
+        <h2>All Maps (${maps.length})</h2>
+        ${maps.length ? maps.map(m => `
+          <div class="map">
+            <div>
+              ${m.color ? `<span class="dot" style="background:${m.color}"></span>` : ''}
+              <a href="/map/${m.id}">${escapeHTML(mapDisplayName(m))}</a>
+              <span class="muted">— ${escapeHTML(formatMapCounts(m))}</span>
+              ${m.description ? `<div class="muted desc">${escapeHTML(m.description)}</div>` : ''}
+            </div>
+            ${canAccessMap(m.id, req.viewer, 'modify') ? `<form method="POST" action="/map/${m.id}/delete" data-confirm="Move “${escapeHTML(m.name)}” and all its accounts to the trash?">${csrfField(req.csrfToken)}
+              <button>Delete</button>
+            </form>` : ''}
+          </div>
+        `).join('') : '<p class="muted">No maps yet.</p>'}
+      </div>
+
+      <div class="card">
+        <h2>Create Map</h2>
+        <form method="POST" action="/map">${csrfField(req.csrfToken)}
+          <input type="text" name="name" placeholder="Map name" required>
+          <div style="height:10px"></div>
+          <button>Create</button>
+        </form>
+        <p class="muted" style="margin-top:12px">Passwords are encrypted at rest. Sign out when you’re done.</p>
+
+        <div style="height:20px"></div>
+        <h2>Export</h2>
+        <form method="POST" action="/export">${csrfField(req.csrfToken)}
+          <label>Maps<br>
+            <select name="mapId">
+              <option value="">All maps</option>
+              ${exportable.map(m => `<option value="${m.id}">${escapeHTML(m.name)}</option>`).join('')}
+            </select>
+          </label>
+          <div style="height:8px"></div>
+          <label>Format<br>
+            <select name="format"><option value="json">JSON</option><option value="csv">CSV</option></select>
+          </label>
+          <div style="height:8px"></div>
+          <label>Passphrase (optional, encrypts the file)<br><input type="password" name="passphrase" autocomplete="new-password"></label>
+          <div style="height:10px"></div>
+          <button>Download</button>
+        </form>
+
+        <div style="height:20px"></div>
+        <h2>Import</h2>
+        <form method="POST" action="/import?_csrf=${req.csrfToken}" enctype="multipart/form-data">
+          <input type="file" name="file" accept=".json,.csv" required>
+          <div style="height:8px"></div>
+          <label>Passphrase (for encrypted exports)<br><input type="password" name="passphrase" autocomplete="off"></label>
+          <div style="height:10px"></div>
+          <button>Import</button>
+        </form>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`);
+});
+
+function guildSwitcher(req) {
+  if (!req.guilds.length) return '<span class="muted">No Discord server yet</span>';
+  return `<form method="POST" action="/guild" class="row">${csrfField(req.csrfToken)}
+          <input type="hidden" name="next" value="${escapeHTML(req.originalUrl)}">
+          <select name="guildId" data-autosubmit title="Discord server">
+            ${req.guilds.map(g => `<option value="${escapeHTML(g.id)}" ${g.id === req.guildId ? 'selected' : ''}>${escapeHTML(g.name)}</option>`).join('')}
+          </select>
+        </form>`;
+}
+
+// Maps, audit entries and tokens are all scoped to the selected server
+app.post('/guild', (req, res) => {
+  const guildId = String(req.body.guildId || '');
+  if (req.guilds.some(g => g.id === guildId)) setCookie(req, res, GUILD_COOKIE, guildId);
+  res.redirect(safeNext(req.body.next));
+});
+
+app.post('/map', (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.redirect('/');
+  try {
+    const result = createMap(name, req.guildId);
+    logAudit({ ...webActor(req), action: 'map.create', map: { id: Number(result.lastInsertRowid), name } });
+  } catch (_) {}
+  res.redirect('/');
+});
+
+const ACCOUNTS_WEB_PAGE_SIZE = 100;
+
+app.get('/map/:id', (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer });
+  if (!map) return res.status(404).send('Map not found');
+  const canReveal = canAccessMap(map.id, req.viewer, 'reveal');
+  const canModify = canAccessMap(map.id, req.viewer, 'modify');
+  const tag = String(req.query.tag || '').trim().toLowerCase();
+  const total = countAccountsInMap(map.id, { tag });
+  const pages = Math.max(1, Math.ceil(total / ACCOUNTS_WEB_PAGE_SIZE));
+  const page = Math.min(Math.max(1, Number(req.query.page) || 1), pages);
+  const accounts = listAccountsByMapId(map.id, ACCOUNTS_WEB_PAGE_SIZE, (page - 1) * ACCOUNTS_WEB_PAGE_SIZE, { tag })
+    .map(a => ({ ...a, ...parseAccountData(a.data) }));
+  const pageLink = p => `/map/${map.id}?` + new URLSearchParams({ ...(tag ? { tag } : {}), page: String(p) }).toString();
+  const tags = listAccountTags(map.id);
+  const otherMaps = canModify ? listMapsWithCounts(req.viewer, 'modify').filter(m => m.id !== map.id) : [];
+  const error = String(req.query.error || '');
+  const saved = String(req.query.saved || '');
+
+  res.send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Map: ${escapeHTML(map.name)}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <style>
+    /* Shared theme (same as home) */
+    :root {
+      --bg1: #0f2027; --bg2: #203a43; --bg3: #2c5364;
+      --glass: rgba(255,255,255,.08); --border: rgba(255,255,255,.15);
+      --text: #e9eef3; --muted: #9fb2c0; --accent: #65d6ff; --danger: #ff6b6b; --ok: #52d27d;
+    }
+    html, body { height:100%; margin:0; }
+    body {
+      font-family: Inter, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+      color: var(--text);
+      background: linear-gradient(120deg, var(--bg1), var(--bg2), var(--bg3));
+      background-size: 200% 200%;
+      animation: moveBg 12s ease-in-out infinite;
+    }
+    @keyframes moveBg {
+      0% { background-position: 0% 50%; }
+      50% { background-position: 100% 50%; }
+      100% { background-position: 0% 50%; }
+    }
+    .container { max-width: 1200px; margin: 48px auto; padding: 0 20px; }
+    .heading { display:flex; align-items:center; justify-content:space-between; margin-bottom: 24px; }
+    h1 { margin: 0; font-weight: 700; letter-spacing: .3px; }
+    .grid { display: grid; grid-template-columns: 1.6fr 1fr; gap: 20px; }
+    .card {
+      background: var(--glass);
+      border: 1px solid var(--border);
+      border-radius: 16px;
+      padding: 18px;
+      backdrop-filter: blur(8px);
+      box-shadow: 0 8px 30px rgba(0,0,0,.25);
+    }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 10px 8px; border-bottom: 1px dashed rgba(255,255,255,.12); text-align:left; vertical-align: top; }
+    th { color: var(--muted); font-weight: 600; }
+    .actions { display: flex; gap: 8px; }
+    button, .btn {
+      cursor: pointer; border: 1px solid var(--border); border-radius:10px;
+      background: rgba(255,255,255,.06); color: var(--text);
+      padding: 8px 12px; transition: .2s transform, .2s background, .2s border;
+    }
+    button:hover, .btn:hover { transform: translateY(-1px); background: rgba(255,255,255,.12); }
+    input[type=text], textarea {
       width: 100%; padding: 10px 12px; border-radius: 10px; border: 1px solid var(--border);
       background: rgba(255,255,255,.06); color: var(--text); outline: none;
     }
-    .muted { color: var(--muted); }
-    .row { display:flex; gap: 10px; align-items:center; }
+    .muted { color: var(--muted); }
+    .row { display:flex; gap: 10px; align-items:center; }
+    .pill { display:inline-block; padding:4px 8px; background:rgba(255,255,255,.06); border:1px solid var(--border); border-radius:999px; font-size:12px; color: var(--muted); }
+    .pw { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+    .edit-row td { background: rgba(255,255,255,.03); }
+    .edit-row form { display:grid; grid-template-columns: 1fr 1fr 1fr auto; gap: 8px; align-items:end; }
+    .edit-row textarea { min-height: 64px; }
+    a.pill:hover, a.pill.active { color: var(--text); border-color: var(--accent); text-decoration: none; }
+    .tags { display:flex; flex-wrap:wrap; gap:6px; margin-top:6px; }
+    .fields { font-size: 13px; margin-top: 6px; white-space: pre-wrap; }
+    .pill.status-banned { color: var(--danger); border-color: rgba(255,107,107,.45); }
+    .pill.status-locked, .pill.status-needs-review { color: #ffd479; border-color: rgba(255,212,121,.45); }
+    .move select, .edit-row select { padding: 8px; border-radius: 10px; border: 1px solid var(--border); background: rgba(255,255,255,.06); color: var(--text); }
+    .move select option, .edit-row select option { color: #111; }
+    .error { color: var(--danger); margin: 0 0 16px; }
+  </style>
+  <meta name="csrf-token" content="${req.csrfToken}">
+  <script src="/app.js" defer></script>
+</head>
+<body>
+  <div class="container">
+    <div class="heading">
+      <div class="row">
+        <a class="btn" href="/">&larr; Back</a>
+        <h1 style="margin-left:8px">Map: ${escapeHTML(mapDisplayName(map))}</h1>
+      </div>
+      <div class="row">
+        <span class="pill">${total} accounts</span>
+        <form method="POST" action="/logout">${csrfField(req.csrfToken)}<button>Log out</button></form>
+      </div>
+    </div>
+
+    ${error ? `<p class="card error">${escapeHTML(error)}</p>` : ''}
+    ${saved ? `<p class="card">${escapeHTML(saved)}</p>` : ''}
+
+    <div class="grid">
+      <div class="card">
+        <div class="heading" style="margin-bottom:8px">
+          <h2>Accounts</h2>
+          ${accounts.length && canReveal ? `<button data-action="claim-free" data-map-id="${map.id}">Give me a free account</button>` : ''}
+        </div>
+        <p class="card" id="free-account" hidden></p>
+        ${tags.length ? `
+          <div class="tags" style="margin-bottom:12px">
+            <span class="muted">Tags:</span>
+            ${tags.map(t => `<a class="pill${t === tag ? ' active' : ''}" href="/map/${map.id}?tag=${encodeURIComponent(t)}">#${escapeHTML(t)}</a>`).join('')}
+            ${tag ? `<a class="pill" href="/map/${map.id}">Clear filter</a>` : ''}
+          </div>
+        ` : ''}
+        ${canModify && accounts.length ? `
+          <form method="POST" action="/map/${map.id}/accounts/selected" id="selected" class="row move" style="flex-wrap:wrap; margin-bottom:12px">${csrfField(req.csrfToken)}
+            <span class="muted">Selected:</span>
+            <select name="targetId">${otherMaps.map(m => `<option value="${m.id}">${escapeHTML(m.name)}</option>`).join('')}<option value="">New map…</option></select>
+            <input type="text" name="newMapName" placeholder="or new map name (splits them off)" style="flex:1; min-width:160px">
+            <select name="duplicates"><option value="skip">Skip duplicate logins</option><option value="overwrite">Overwrite duplicate passwords</option></select>
+            <button name="action" value="move">Move</button>
+            <button name="action" value="copy">Copy</button>
+            <button name="action" value="delete" style="border-color: rgba(255,0,0,.35); color:#ffd6d6;" data-confirm="Move the selected accounts to the trash?">Delete</button>
+          </form>
+        ` : ''}
+        ${accounts.length === 0 ? `<p class="muted">${tag ? `No accounts tagged #${escapeHTML(tag)}.` : 'No accounts yet.'}</p>` : `
+          <table>
+            <thead><tr>${canModify ? '<th><input type="checkbox" title="Select all" data-action="select-all"></th>' : ''}<th>Label</th><th>Login</th><th>Password</th><th>Actions</th></tr></thead>
+            <tbody>
+              ${accounts.map(a => `
+                <tr>
+                  ${canModify ? `<td><input type="checkbox" name="ids" value="${a.id}" form="selected"></td>` : ''}
+                  <td>
+                    ${escapeHTML(a.label || a.login)}
+                    <div class="tags"><span class="pill status-${a.status}"${a.status_reason ? ` title="${escapeHTML(a.status_reason)}"` : ''}>${escapeHTML(statusBadge(a.status))}</span></div>
+                    ${a.tags.length ? `<div class="tags">${a.tags.map(t => `<a class="pill" href="/map/${map.id}?tag=${encodeURIComponent(t)}">#${escapeHTML(t)}</a>`).join('')}</div>` : ''}
+                    ${a.notes ? `<div class="fields muted">${escapeHTML(a.notes)}</div>` : ''}
+                    ${Object.keys(a.fields).length ? `<div class="fields muted">${escapeHTML(formatCustomFields(a.fields))}</div>` : ''}
+                  </td>
+                  <td>
+                    ${escapeHTML(a.login || '')}
+                    ${isClaimActive(a) ? `<div class="tags"><span class="pill" title="Claimed at ${escapeHTML(a.claimed_at)} UTC">🔒 ${escapeHTML(a.claimed_by_name)}</span></div>` : ''}
+                  </td>
+                  <td class="pw"><span id="pw-${a.id}">••••••••</span>${a.has_totp ? `<div class="muted" id="totp-${a.id}"></div>` : ''}</td>
+                  <td class="actions">
+                    ${canReveal ? `<button data-action="reveal" data-id="${a.id}">Reveal</button>` : ''}
+                    ${canReveal && a.has_totp ? `<button data-action="totp" data-id="${a.id}">2FA code</button>` : ''}
+                    <button data-action="copy-login" data-login="${escapeHTML(a.login || '')}">Copy login</button>
+                    ${canReveal ? `<form method="POST" action="/map/${map.id}/account/${a.id}/${isClaimActive(a) ? 'release' : 'claim'}" style="display:inline">${csrfField(req.csrfToken)}
+                      <button>${isClaimActive(a) ? 'Release' : 'Claim'}</button>
+                    </form>` : ''}
+                    ${canModify ? `<button data-action="toggle-edit" data-id="${a.id}">Edit</button>` : ''}
+                    <a class="btn" href="/map/${map.id}/account/${a.id}/history">History</a>
+                    ${canModify ? `<form method="POST" action="/map/${map.id}/account/${a.id}/delete" style="display:inline" data-confirm="Move this account to the trash?">${csrfField(req.csrfToken)}
+                      <button style="border-color: rgba(255,0,0,.35); color:#ffd6d6;">Delete</button>
+                    </form>` : ''}
+                  </td>
+                </tr>
+                ${canModify ? `<tr class="edit-row" id="edit-${a.id}" hidden>
+                  <td colspan="5">
+                    <form method="POST" action="/map/${map.id}/account/${a.id}/edit">${csrfField(req.csrfToken)}
+                      <label>Label<br><input type="text" name="label" value="${escapeHTML(a.raw_label || '')}" placeholder="Friendly name"></label>
+                      <label>Login<br><input type="text" name="login" value="${escapeHTML(a.login || '')}" required></label>
+                      <label>New password<br><input type="text" name="password" placeholder="Leave blank to keep" autocomplete="off"></label>
+                      <label>2FA secret<br><input type="text" name="totp" placeholder="${a.has_totp ? 'Blank keeps, - removes' : 'Base32 or otpauth:// URI'}" autocomplete="off"></label>
+                      <label>Status<br>
+                        <select name="status">${Object.entries(ACCOUNT_STATUSES).map(([value, st]) => `<option value="${value}"${value === a.status ? ' selected' : ''}>${escapeHTML(st.label)}</option>`).join('')}</select>
+                      </label>
+                      <label>Status reason<br><input type="text" name="status_reason" value="${escapeHTML(a.status_reason || '')}" maxlength="${STATUS_REASON_MAX_LENGTH}" placeholder="Why banned, locked…"></label>
+                      <label>Tags<br><input type="text" name="tags" value="${escapeHTML(a.tags.join(', '))}" placeholder="main, eu, verified"></label>
+                      <label>Notes<br><textarea name="notes" maxlength="${NOTES_MAX_LENGTH}">${escapeHTML(a.notes)}</textarea></label>
+                      <label>Custom fields<br><textarea name="fields" placeholder="region: EU">${escapeHTML(formatCustomFields(a.fields))}</textarea></label>
+                      <button>Save</button>
+                    </form>
+                    ${otherMaps.length ? `
+                      <form method="POST" action="/map/${map.id}/account/${a.id}/move" class="row move" style="margin-top:8px">${csrfField(req.csrfToken)}
+                        <span class="muted">Move to</span>
+                        <select name="mapId">${otherMaps.map(m => `<option value="${m.id}">${escapeHTML(m.name)}</option>`).join('')}</select>
+                        <button>Move</button>
+                      </form>
+                    ` : ''}
+                  </td>
+                </tr>` : ''}
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+        ${pages > 1 ? `
+          <div class="row" style="margin-top:16px; justify-content:space-between">
+            ${page > 1 ? `<a class="btn" href="${escapeHTML(pageLink(page - 1))}">&larr; Previous</a>` : '<span></span>'}
+            <span class="muted">Page ${page} of ${pages}</span>
+            ${page < pages ? `<a class="btn" href="${escapeHTML(pageLink(page + 1))}">Next &rarr;</a>` : '<span></span>'}
+          </div>
+        ` : ''}
+      </div>
+
+      ${canModify ? `<div class="card">
+        <h2>Add Accounts</h2>
+        <p class="muted">Use the simple format: <b>login:password</b></p>
+        <form method="POST" action="/map/${map.id}/account">${csrfField(req.csrfToken)}
+          <label>Single pair<br><input type="text" name="pair" placeholder="user@mail.com:pass123" required></label>
+          <div style="height:8px"></div>
+          <label>Label (optional)<br><input type="text" name="label" placeholder="Friendly name"></label>
+          <div style="height:10px"></div>
+          <button>Add</button>
+        </form>
+
+        <div style="height:20px"></div>
+        <h3>Bulk add</h3>
+        <form method="POST" action="/map/${map.id}/account/bulk">${csrfField(req.csrfToken)}
+          <label>One per line<br>
+            <textarea name="pairs" rows="8" placeholder="first@mail.com:pass1\nsecond@mail.com:pass2"></textarea>
+          </label>
+          <div style="height:8px"></div>
+          <label>Mode<br>
+            <select name="mode">
+              <option value="add">Add, skip duplicates</option>
+              <option value="preview">Preview only</option>
+              <option value="overwrite">Add, overwrite duplicate passwords</option>
+            </select>
+          </label>
+          <div style="height:10px"></div>
+          <button>Bulk Add</button>
+        </form>
+
+        <div style="height:20px"></div>
+        <h3>Bulk add from file</h3>
+        <form method="POST" action="/map/${map.id}/account/bulk/file?_csrf=${req.csrfToken}" enctype="multipart/form-data" data-upload-progress>
+          <label>.txt with login:password lines or .csv with login,password rows<br>
+            <input type="file" name="file" accept=".txt,.csv" required>
+          </label>
+          <div style="height:8px"></div>
+          <label>Mode<br>
+            <select name="mode">
+              <option value="add">Add, skip duplicates</option>
+              <option value="preview">Preview only</option>
+              <option value="overwrite">Add, overwrite duplicate passwords</option>
+            </select>
+          </label>
+          <div style="height:10px"></div>
+          <button>Upload</button> <span class="muted" data-progress></span>
+        </form>
+        <p class="muted" style="margin-top:12px">Passwords are shown masked by default. Click Reveal to view or copy.</p>
+
+        <div style="height:20px"></div>
+        <h3>Map settings</h3>
+        <form method="POST" action="/map/${map.id}/edit">${csrfField(req.csrfToken)}
+          <label>Name<br><input type="text" name="name" value="${escapeHTML(map.name)}" maxlength="64" required></label>
+          <div style="height:8px"></div>
+          <label>Description<br><textarea name="description" rows="2" maxlength="200">${escapeHTML(map.description || '')}</textarea></label>
+          <div style="height:8px"></div>
+          <div class="row">
+            <label style="flex:1">Color<br><input type="text" name="color" value="${escapeHTML(map.color || '')}" placeholder="#2B7FFF" maxlength="7"></label>
+            <label style="flex:1">Icon<br><input type="text" name="icon" value="${escapeHTML(map.icon || '')}" placeholder="🎮" maxlength="16"></label>
+            <label style="flex:1">Password history<br><input type="text" name="history_limit" value="${map.password_history_limit ?? ''}" placeholder="${escapeHTML(String(PASSWORD_HISTORY_LIMIT))}" maxlength="3"></label>
+          </div>
+          <div style="height:10px"></div>
+          <button>Save</button>
+        </form>
+
+        <div style="height:20px"></div>
+        <h3>Merge or copy</h3>
+        ${otherMaps.length ? `
+          <form method="POST" action="/map/${map.id}/merge" data-confirm="Move every account into the chosen map and move this map to the trash?">${csrfField(req.csrfToken)}
+            <label>Merge into<br><select name="targetId">${otherMaps.map(m => `<option value="${m.id}">${escapeHTML(m.name)}</option>`).join('')}</select></label>
+            <div style="height:8px"></div>
+            <label>Duplicate logins<br>
+              <select name="duplicates"><option value="skip">Skip (they go to the trash with this map)</option><option value="overwrite">Overwrite the target's password</option></select>
+            </label>
+            <div style="height:10px"></div>
+            <button>Merge</button>
+          </form>
+          <div style="height:12px"></div>
+        ` : ''}
+        <form method="POST" action="/map/${map.id}/copy">${csrfField(req.csrfToken)}
+          <label>Copy as<br><input type="text" name="name" value="${escapeHTML(`${map.name} (copy)`)}" maxlength="64" required></label>
+          <div style="height:10px"></div>
+          <button>Copy map</button>
+        </form>
+        ${req.viewer.admin ? `
+          <div style="height:20px"></div>
+          <h3>Access</h3>
+          <p class="muted">One <b>role &lt;Discord role ID&gt;: level</b> or <b>user &lt;web user&gt;: level</b> per line, where level is view, reveal or modify. Leave empty to open the map to everyone. Admins always have full access.</p>
+          <form method="POST" action="/map/${map.id}/access">${csrfField(req.csrfToken)}
+            <textarea name="entries" rows="4" placeholder="role 123456789012345678: reveal\nuser alice: view">${escapeHTML(formatMapAccess(listMapAccess(map.id)))}</textarea>
+            <div style="height:10px"></div>
+            <button>Save access</button>
+          </form>
+        ` : ''}
+      </div>` : `<div class="card">
+        <h2>Read only</h2>
+        <p class="muted">You can ${canReveal ? 'view and reveal' : 'view'} the accounts in this map, but not change them.</p>
+      </div>`}
+    </div>
+  </div>
+
+</body>
+</html>`);
+});
+
+app.post('/map/:id/account', (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer, level: 'modify' });
+  if (!map) return res.status(404).send('Map not found');
+  const pair = String(req.body.pair || '').trim();
+  const label = String(req.body.label || '').trim() || null;
+  if (!pair) return res.redirect(`/map/${map.id}`);
+  try {
+    const result = addAccountPairToMap({ mapId: map.id, pair, label });
+    logAudit({ ...webActor(req), action: 'account.add', map, account: getAccountById(Number(result.lastInsertRowid)) });
+  } catch (e) {
+    const msg = String(e.message).includes('UNIQUE') ? 'That login already exists in this map.' : e.message;
+    return res.redirect(`/map/${map.id}?error=${encodeURIComponent(msg)}`);
+  }
+  res.redirect(`/map/${map.id}`);
+});
+
+app.post('/map/:id/account/bulk', (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer, level: 'modify' });
+  if (!map) return res.status(404).send('Map not found');
+  const pairs = String(req.body.pairs || '');
+  const mode = BULK_MODES.includes(req.body.mode) ? req.body.mode : 'add';
+  const backHref = `/map/${map.id}`;
+  try {
+    const dryRun = mode === 'preview';
+    const result = bulkAddPairs({ mapId: map.id, pairsText: pairs, dryRun, overwrite: mode === 'overwrite', actor: webActor(req) });
+    if (!dryRun) logAudit({ ...webActor(req), action: 'account.bulk_add', map, details: bulkAuditDetails(mode, result) });
+    // The preview re-posts the same text so nothing has to be kept server-side
+    const actions = dryRun ? `
+      <form method="POST" action="/map/${map.id}/account/bulk" class="row" style="margin-top:12px">${csrfField(req.csrfToken)}
+        <textarea name="pairs" hidden>${escapeHTML(pairs)}</textarea>
+        <button name="mode" value="add">Import</button>
+        <button name="mode" value="overwrite">Import &amp; overwrite</button>
+      </form>` : '';
+    res.send(resultPage({
+      title: `${dryRun ? 'Bulk add preview' : 'Bulk add result'}: ${map.name}`,
+      backHref,
+      summary: bulkSummary(result),
+      rows: bulkReportRows(result),
+      actions
+    }));
+  } catch (e) {
+    res.status(400).send(resultPage({ title: 'Bulk add failed', backHref, summary: [['Error', e.message]], rows: [] }));
+  }
+});
+
+// The preview page re-posts the file as `content` + `filename` fields instead of an upload
+app.post('/map/:id/account/bulk/file', (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer, level: 'modify' });
+  if (!map) return res.status(404).send('Map not found');
+  const backHref = `/map/${map.id}`;
+  bulkUpload.single('file')(req, res, async (err) => {
+    if (err) return res.status(400).send(resultPage({ title: 'Bulk add failed', backHref, summary: [['Error', err.message]], rows: [] }));
+    const filename = req.file ? req.file.originalname : String(req.body.filename || '');
+    const mode = BULK_MODES.includes(req.body.mode) ? req.body.mode : 'add';
+    try {
+      const entries = req.file ? req.file.entries : await readPairLines(Readable.from([String(req.body.content || '')]), '.txt');
+      const dryRun = mode === 'preview';
+      const result = bulkAddEntries({ mapId: map.id, entries, dryRun, overwrite: mode === 'overwrite', actor: webActor(req) });
+      if (!dryRun) logAudit({ ...webActor(req), action: 'account.bulk_add', map, details: `${filename}: ${bulkAuditDetails(mode, result)}` });
+      const actions = dryRun ? `
+        <form method="POST" action="/map/${map.id}/account/bulk/file?_csrf=${req.csrfToken}" enctype="multipart/form-data" class="row" style="margin-top:12px">
+          <textarea name="content" hidden>
+${escapeHTML(pairLinesToText(entries))}</textarea>
+          <input type="hidden" name="filename" value="${escapeHTML(filename)}">
+          <button name="mode" value="add">Import</button>
+          <button name="mode" value="overwrite">Import &amp; overwrite</button>
+        </form>` : '';
+      res.send(resultPage({
+        title: `${dryRun ? 'Bulk add preview' : 'Bulk add result'}: ${map.name}`,
+        backHref,
+        summary: [
+          ['File', filename],
+          ['Lines read', entries.length],
+          ...bulkSummary(result)
+        ],
+        rows: bulkReportRows(result),
+        actions
+      }));
+    } catch (e) {
+      res.status(400).send(resultPage({ title: 'Bulk add failed', backHref, summary: [['Error', e.message]], rows: [] }));
+    }
+  });
+});
+
+app.post('/map/:id/edit', (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer, level: 'modify' });
+  if (!map) return res.status(404).send('Map not found');
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.redirect(`/map/${map.id}?error=${encodeURIComponent('Map name is required.')}`);
+  try {
+    updateMap({ id: map.id, name, description: req.body.description, color: req.body.color, icon: req.body.icon, historyLimit: req.body.history_limit });
+    pruneMapPasswordHistory(map.id);
+    logAudit({ ...webActor(req), action: 'map.edit', map: { id: map.id, name }, details: name !== map.name ? `renamed from ${map.name}` : null });
+  } catch (e) {
+    const msg = String(e.message).includes('UNIQUE') ? mapNameTakenMessage(name, req.guildId) : e.message;
+    return res.redirect(`/map/${map.id}?error=${encodeURIComponent(msg)}`);
+  }
+  res.redirect(`/map/${map.id}`);
+});
+
+// Admins only: replaces the map's access list (see parseMapAccess)
+app.post('/map/:id/access', (req, res) => {
+  if (!req.viewer.admin) return res.status(403).send('Only admins can change who may access a map.');
+  const map = getMapById(req.params.id, { viewer: req.viewer, level: 'modify' });
+  if (!map) return res.status(404).send('Map not found');
+  try {
+    const entries = parseMapAccess(req.body.entries);
+    setMapAccess(map.id, entries);
+    logAudit({ ...webActor(req), action: 'map.access', map, details: mapAccessAuditDetails(entries) });
+  } catch (e) {
+    return res.redirect(`/map/${map.id}?error=${encodeURIComponent(e.message)}`);
+  }
+  res.redirect(`/map/${map.id}?saved=${encodeURIComponent('Access saved.')}`);
+});
+
+app.get('/map/:mapId/account/:accountId/history', (req, res) => {
+  const acc = getAccountById(req.params.accountId, { viewer: req.viewer });
+  if (!acc) return res.status(404).send('Account not found');
+  const entries = listPasswordHistory(acc.id);
+  const limit = historyLimitForMap(getMapById(acc.map_id));
+  const canModify = canAccessMap(acc.map_id, req.viewer, 'modify');
+  const notice = String(req.query.restored || '');
+  res.send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Password history: ${escapeHTML(acc.label || acc.login)}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <style>${THEME_CSS}</style>
+  <script src="/app.js" defer></script>
+</head>
+<body>
+  <div class="container">
+    <div class="heading">
+      <div class="row">
+        <a class="btn" href="/map/${acc.map_id}">&larr; Back</a>
+        <h1 style="margin-left:8px">Password history: ${escapeHTML(acc.label || acc.login)}</h1>
+      </div>
+      <span class="pill">${entries.length} versions</span>
+    </div>
+
+    ${notice ? `<p class="card">Restored the password replaced on ${escapeHTML(notice)} UTC.</p>` : ''}
+
+    <div class="card">
+      <p class="muted" style="margin-top:0">${limit > 0 ? `The last ${limit} passwords are kept for accounts in this map.` : 'Password history is off for this map.'}</p>
+      ${entries.length === 0 ? '<p class="muted">No previous passwords recorded.</p>' : `
+        <table>
+          <thead><tr><th>Replaced (UTC)</th><th>Changed by</th><th>Password</th><th></th></tr></thead>
+          <tbody>
+            ${entries.map(h => `
+              <tr>
+                <td>${escapeHTML(h.created_at)}</td>
+                <td>${escapeHTML(h.changed_by_name || 'unknown')} <span class="muted">${escapeHTML(h.changed_by_source || '')}</span></td>
+                <td>${MASKED_OLD_PASSWORD}</td>
+                <td>
+                  ${canModify ? `<form method="POST" action="/map/${acc.map_id}/account/${acc.id}/history/${h.id}/restore" data-confirm="Restore this password? The current one is kept in the history.">${csrfField(req.csrfToken)}
+                    <button>Restore this version</button>
+                  </form>` : ''}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+    </div>
+  </div>
+</body>
+</html>`);
+});
+
+app.post('/map/:mapId/account/:accountId/history/:historyId/restore', (req, res) => {
+  const acc = getAccountById(req.params.accountId, { viewer: req.viewer, level: 'modify' });
+  if (!acc) return res.status(404).send('Account not found');
+  const back = `/map/${acc.map_id}/account/${acc.id}/history`;
+  const entry = getPasswordHistoryEntry(acc.id, req.params.historyId);
+  if (!entry || !restorePasswordVersion(acc.id, entry.id, webActor(req))) return res.redirect(back);
+  logAudit({ ...webActor(req), action: 'account.password_restore', map: getMapById(acc.map_id), account: acc, details: `version from ${entry.created_at}` });
+  res.redirect(`${back}?restored=${encodeURIComponent(entry.created_at)}`);
+});
+
+app.post('/map/:mapId/account/:accountId/claim', (req, res) => {
+  const acc = getAccountById(req.params.accountId, { viewer: req.viewer, level: 'reveal' });
+  if (!acc) return res.status(404).send('Account not found');
+  const back = `/map/${acc.map_id}`;
+  if (!claimAccount(acc.id, webActor(req))) {
+    return res.redirect(`${back}?error=${encodeURIComponent(`"${acc.login}" is already claimed by ${acc.claimed_by_name}.`)}`);
+  }
+  logAudit({ ...webActor(req), action: 'account.claim', map: getMapById(acc.map_id), account: acc });
+  res.redirect(back);
+});
+
+app.post('/map/:mapId/account/:accountId/release', (req, res) => {
+  const acc = getAccountById(req.params.accountId, { viewer: req.viewer, level: 'reveal' });
+  if (!acc) return res.status(404).send('Account not found');
+  if (!releaseAccount(acc.id, webActor(req), { force: canAccessMap(acc.map_id, req.viewer, 'modify') })) {
+    return res.redirect(`/map/${acc.map_id}?error=${encodeURIComponent(`"${acc.login}" is already claimed by ${acc.claimed_by_name}.`)}`);
+  }
+  logAudit({ ...webActor(req), action: 'account.release', map: getMapById(acc.map_id), account: acc, details: acc.claimed_by_name ? `held by ${acc.claimed_by_name}` : null });
+  res.redirect(`/map/${acc.map_id}`);
+});
+
+app.post('/map/:mapId/account/:accountId/edit', (req, res) => {
+  const acc = getAccountById(req.params.accountId, { viewer: req.viewer, level: 'modify' });
+  if (!acc) return res.status(404).send('Account not found');
+  const login = String(req.body.login || '').trim();
+  const label = String(req.body.label || '').trim() || null;
+  const password = String(req.body.password || '').trim();
+  const back = `/map/${acc.map_id}`;
+  if (!login) return res.redirect(`${back}?error=${encodeURIComponent('Login is required.')}`);
+  try {
+    const data = buildAccountData({ notes: req.body.notes, tags: req.body.tags, fields: req.body.fields });
+    const totp = parseTotpEdit(req.body.totp);
+    const status = req.body.status ? parseStatus(req.body.status) : acc.status;
+    const statusReason = status === 'active' ? null : String(req.body.status_reason || '').trim() || null;
+    db.transaction(() => {
+      updateAccount({ id: acc.id, login, label, password, actor: webActor(req) });
+      updateAccountData(acc.id, data);
+      if (totp !== undefined) setAccountTotp(acc.id, totp, login);
+      setAccountStatus(acc.id, status, statusReason);
+    })();
+    if (status !== acc.status || statusReason !== acc.status_reason) {
+      logAudit({
+        ...webActor(req), action: 'account.status', map: getMapById(acc.map_id), account: { ...acc, login },
+        details: `${acc.status} → ${status}${statusReason ? `: ${statusReason}` : ''}`
+      });
+    }
+    const dataChanges = accountDataChanges(acc, data);
+    const changed = [
+      login !== acc.login && 'login',
+      label !== acc.raw_label && 'label',
+      password && 'password',
+      dataChanges !== 'no changes' && dataChanges,
+      totp !== undefined && (totp ? '2FA secret' : '2FA secret removed')
+    ].filter(Boolean);
+    logAudit({ ...webActor(req), action: 'account.edit', map: getMapById(acc.map_id), account: { ...acc, login }, details: changed.join(', ') || 'no changes' });
+  } catch (e) {
+    const msg = String(e.message).includes('UNIQUE') ? `"${login}" already exists in this map.` : e.message;
+    return res.redirect(`${back}?error=${encodeURIComponent(msg)}`);
+  }
+  res.redirect(back);
+});
+
+app.post('/map/:mapId/account/:accountId/move', (req, res) => {
+  const acc = getAccountById(req.params.accountId, { viewer: req.viewer, level: 'modify' });
+  if (!acc) return res.status(404).send('Account not found');
+  const from = getMapById(acc.map_id);
+  const to = getMapById(req.body.mapId, { viewer: req.viewer, level: 'modify' });
+  if (!to) return res.redirect(`/map/${acc.map_id}?error=${encodeURIComponent('Target map not found.')}`);
+  try {
+    moveAccountToMap({ id: acc.id, mapId: to.id });
+    logAudit({ ...webActor(req), action: 'account.move', map: to, account: acc, details: `from ${from?.name ?? acc.map_id}` });
+  } catch (e) {
+    const msg = String(e.message).includes('UNIQUE') ? `"${acc.login}" already exists in "${to.name}".` : e.message;
+    return res.redirect(`/map/${acc.map_id}?error=${encodeURIComponent(msg)}`);
+  }
+  res.redirect(`/map/${acc.map_id}`);
+});
+
+// Checked accounts on the map page: move or copy to another map (or a new one named
+// newMapName, splitting them off), or trash them
+app.post('/map/:id/accounts/selected', (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer, level: 'modify' });
+  if (!map) return res.status(404).send('Map not found');
+  const backHref = `/map/${map.id}`;
+  const ids = [].concat(req.body.ids || []).map(Number).filter(Number.isInteger);
+  const action = String(req.body.action || '');
+  if (!ids.length) return res.redirect(`${backHref}?error=${encodeURIComponent('Select at least one account.')}`);
+  if (!SELECTED_ACTIONS.includes(action)) return res.redirect(`${backHref}?error=${encodeURIComponent('Unknown action.')}`);
+  if (action === 'delete') {
+    const result = trashAccounts({ ids, fromMapId: map.id });
+    logAudit({ ...webActor(req), action: 'account.bulk_delete', map, details: `deleted ${result.deleted}, errors ${result.errors.length}` });
+    return res.send(resultPage({ title: `Deleted accounts: ${map.name}`, backHref, summary: [['Moved to trash', result.deleted], ['Errors', result.errors.length]], rows: result.errors }));
+  }
+  const newMapName = String(req.body.newMapName || '').trim();
+  const target = newMapName ? null : getMapById(req.body.targetId, { viewer: req.viewer, level: 'modify' });
+  if (!newMapName && !target) return res.redirect(`${backHref}?error=${encodeURIComponent('Pick a target map or name a new one.')}`);
+  try {
+    const { mapId, results } = transferSelected({
+      source: map, ids, mode: action, targetMapId: target?.id, newMapName, duplicates: req.body.duplicates, actor: webActor(req)
+    });
+    const to = getMapById(mapId);
+    logAudit({ ...webActor(req), action: `account.bulk_${results.mode}`, map, details: `to ${to.name}: ${transferAuditDetails(results)}` });
+    res.send(resultPage({
+      title: `${results.mode === 'copy' ? 'Copied' : 'Moved'} accounts: ${map.name} → ${to.name}`,
+      backHref: `/map/${to.id}`,
+      summary: transferSummary(results),
+      rows: transferReportRows(results)
+    }));
+  } catch (e) {
+    const msg = String(e.message).includes('UNIQUE') ? mapNameTakenMessage(newMapName, map.guild_id) : e.message;
+    res.redirect(`${backHref}?error=${encodeURIComponent(msg)}`);
+  }
+});
+
+app.post('/map/:id/merge', (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer, level: 'modify' });
+  if (!map) return res.status(404).send('Map not found');
+  const target = getMapById(req.body.targetId, { viewer: req.viewer, level: 'modify' });
+  if (!target) return res.redirect(`/map/${map.id}?error=${encodeURIComponent('Target map not found.')}`);
+  try {
+    const results = mergeMaps({ sourceId: map.id, targetId: target.id, duplicates: req.body.duplicates, actor: webActor(req) });
+    logAudit({ ...webActor(req), action: 'map.merge', map: target, details: `from ${map.name}: ${transferAuditDetails(results)}` });
+    res.send(resultPage({
+      title: `Merged ${map.name} into ${target.name}`,
+      backHref: `/map/${target.id}`,
+      summary: transferSummary(results),
+      rows: transferReportRows(results)
+    }));
+  } catch (e) {
+    res.redirect(`/map/${map.id}?error=${encodeURIComponent(e.message)}`);
+  }
+});
+
+app.post('/map/:id/copy', (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer, level: 'modify' });
+  if (!map) return res.status(404).send('Map not found');
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.redirect(`/map/${map.id}?error=${encodeURIComponent('Map name is required.')}`);
+  try {
+    const { mapId, results } = copyMap({ source: map, name, actor: webActor(req) });
+    logAudit({ ...webActor(req), action: 'map.copy', map: { id: mapId, name }, details: `from ${map.name}: ${transferAuditDetails(results)}` });
+    res.send(resultPage({ title: `Copied ${map.name} to ${name}`, backHref: `/map/${mapId}`, summary: transferSummary(results), rows: transferReportRows(results) }));
+  } catch (e) {
+    const msg = String(e.message).includes('UNIQUE') ? mapNameTakenMessage(name, map.guild_id) : e.message;
+    res.redirect(`/map/${map.id}?error=${encodeURIComponent(msg)}`);
+  }
+});
+
+app.post('/map/:id/delete', (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer, level: 'modify' });
+  if (map) {
+    const accountCount = countAccountsInMap(map.id);
+    deleteMapById(map.id);
+    logAudit({ ...webActor(req), action: 'map.delete', map, details: `${accountCount} accounts` });
+  }
+  res.redirect('/');
+});
+
+app.post('/map/:mapId/account/:accountId/delete', (req, res) => {
+  const acc = getAccountById(req.params.accountId, { viewer: req.viewer, level: 'modify' });
+  if (acc) {
+    removeAccountById({ id: acc.id });
+    logAudit({ ...webActor(req), action: 'account.delete', map: getMapById(acc.map_id), account: acc });
+  }
+  res.redirect(`/map/${req.params.mapId}`);
+});
+
+app.get('/trash', (req, res) => {
+  const total = countTrash(req.viewer);
+  const items = listTrash(500, 0, req.viewer);
+  const error = String(req.query.error || '');
+  res.send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Trash</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <style>${THEME_CSS}
+    .actions { display: flex; gap: 8px; }
+  </style>
+  <script src="/app.js" defer></script>
+</head>
+<body>
+  <div class="container">
+    <div class="heading">
+      <div class="row">
+        <a class="btn" href="/">&larr; Back</a>
+        <h1 style="margin-left:8px">Trash</h1>
+      </div>
+      <span class="pill">${total} items</span>
+    </div>
+
+    ${error ? `<p class="card error">${escapeHTML(error)}</p>` : ''}
+
+    <div class="card">
+      <p class="muted" style="margin-top:0">Items are ${escapeHTML(trashRetentionText())}.</p>
+      ${items.length === 0 ? '<p class="muted">Trash is empty.</p>' : `
+        <table>
+          <thead><tr><th>Type</th><th>Name</th><th>Details</th><th>Deleted (UTC)</th><th>Actions</th></tr></thead>
+          <tbody>
+            ${items.map(t => `
+              <tr>
+                <td>${t.kind === 'map' ? 'Map' : 'Account'}</td>
+                <td>${escapeHTML(t.label)}</td>
+                <td class="muted">${t.kind === 'map' ? `${t.account_count} accounts` : `${escapeHTML(t.login || '')} in ${escapeHTML(t.map_name)}`}</td>
+                <td>${escapeHTML(t.deleted_at)}</td>
+                <td class="actions">${canAccessMap(t.map_id, req.viewer, 'modify') ? `
+                  <form method="POST" action="/trash/${t.kind}/${t.id}/restore">${csrfField(req.csrfToken)}<button>Restore</button></form>
+                  <form method="POST" action="/trash/${t.kind}/${t.id}/purge" data-confirm="Delete this ${t.kind} forever? This cannot be undone.">${csrfField(req.csrfToken)}
+                    <button style="border-color: rgba(255,0,0,.35); color:#ffd6d6;">Delete forever</button>
+                  </form>` : '<span class="muted">—</span>'}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+    </div>
+  </div>
+</body>
+</html>`);
+});
+
+app.post('/trash/:kind/:id/:op', (req, res) => {
+  const { kind, id, op } = req.params;
+  if (!['map', 'account'].includes(kind) || !['restore', 'purge'].includes(op)) return res.status(404).send('Not found');
+  const item = kind === 'map' ? getTrashedMapById(id) : getTrashedAccountById(id);
+  if (!item || !canAccessMap(kind === 'map' ? item.id : item.map_id, req.viewer, 'modify')) return res.redirect('/trash');
+  const map = kind === 'map' ? item : getMapById(item.map_id, { includeDeleted: true });
+  const account = kind === 'map' ? undefined : item;
+  try {
+    if (op === 'restore') {
+      if (kind === 'map') restoreMapById(item.id); else restoreAccountById(item.id);
+    } else {
+      if (kind === 'map') purgeMapById(item.id); else purgeAccountById(item.id);
+    }
+  } catch (e) {
+    const msg = String(e.message).includes('UNIQUE') ? `Cannot restore: "${item.login}" already exists in "${map.name}".` : e.message;
+    return res.redirect(`/trash?error=${encodeURIComponent(msg)}`);
+  }
+  logAudit({ ...webActor(req), action: `${kind}.${op}`, map, account });
+  res.redirect('/trash');
+});
+
+app.post('/export', (req, res) => {
+  const mapId = req.body.mapId ? Number(req.body.mapId) : null;
+  if (mapId && !getMapById(mapId, { viewer: req.viewer, level: 'reveal' })) return res.status(404).send('Map not found');
+  const format = req.body.format === 'csv' ? 'csv' : 'json';
+  const passphrase = String(req.body.passphrase || '') || null;
+  const file = buildExportFile({ mapId, format, passphrase, viewer: req.viewer });
+  const accountCount = file.data.maps.reduce((n, m) => n + m.accounts.length, 0);
+  logAudit({
+    ...webActor(req), action: 'data.export', map: mapId ? getMapById(mapId) : null,
+    details: `${file.data.maps.length} maps, ${accountCount} accounts, ${format}${passphrase ? ', encrypted' : ''}`
+  });
+  res.attachment(file.filename);
+  res.type(passphrase || format === 'json' ? 'application/json' : 'text/csv');
+  res.send(file.content);
+});
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_BYTES, files: 1 } });
+// Bulk add files are parsed as they arrive (req.file.entries) instead of being buffered. The
+// preview re-posts the parsed lines as a `content` field, hence the matching fieldSize.
+const bulkUpload = multer({
+  storage: {
+    _handleFile(req, file, cb) {
+      readPairLines(file.stream, file.originalname).then(entries => cb(null, { entries }), cb);
+    },
+    _removeFile(req, file, cb) { cb(null); }
+  },
+  limits: { fileSize: IMPORT_MAX_BYTES, fieldSize: IMPORT_MAX_BYTES, files: 1 }
+});
+
+// `actions` is trusted HTML appended below the report (e.g. a follow-up form)
+function resultPage({ title, backHref, summary, rows, actions = '' }) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHTML(title)}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <style>${THEME_CSS}</style>
+</head>
+<body>
+  <div class="container">
+    <div class="heading">
+      <div class="row">
+        <a class="btn" href="${escapeHTML(backHref)}">&larr; Back</a>
+        <h1 style="margin-left:8px">${escapeHTML(title)}</h1>
+      </div>
+    </div>
+    <div class="card">
+      <ul>${summary.map(([k, v]) => `<li>${escapeHTML(k)}: <b>${escapeHTML(String(v))}</b></li>`).join('')}</ul>
+      ${rows.length ? `
+        <table>
+          <thead><tr><th>Line</th><th>Details</th></tr></thead>
+          <tbody>${rows.map(r => `<tr><td>${escapeHTML(r.line)}</td><td class="muted">${escapeHTML(r.error)}</td></tr>`).join('')}</tbody>
+        </table>
+      ` : ''}
+      ${actions}
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+app.post('/import', (req, res) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).send(resultPage({ title: 'Import failed', backHref: '/', summary: [['Error', err.message]], rows: [] }));
+    if (!req.file) return res.redirect('/');
+    try {
+      const passphrase = String(req.body.passphrase || '') || null;
+      const result = importMaps(parseExportFile(req.file.buffer.toString('utf8'), { passphrase }), req.viewer);
+      logAudit({
+        ...webActor(req), action: 'data.import',
+        details: `${req.file.originalname}: maps created ${result.mapsCreated}, merged ${result.mapsMerged}, added ${result.added}, duplicates ${result.duplicates}, errors ${result.errors.length}`
+      });
+      res.send(resultPage({
+        title: 'Import result',
+        backHref: '/',
+        summary: [
+          ['Maps created', result.mapsCreated],
+          ['Maps merged', result.mapsMerged],
+          ['Added', result.added],
+          ['Duplicates', result.duplicates],
+          ['Errors', result.errors.length]
+        ],
+        rows: result.errors
+      }));
+    } catch (e) {
+      res.status(400).send(resultPage({ title: 'Import failed', backHref: '/', summary: [['Error', e.message]], rows: [] }));
+    }
+  });
+});
+
+// `created` is the token just made; its plaintext is only ever shown on this response
+// Admins manage every token, other web users only their own
+function tokensPage({ error, created, csrfToken, viewer }) {
+  const tokens = listApiTokens({ guildId: viewer.guildId, createdBy: viewer.admin ? null : viewer.user });
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>API tokens</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <style>${THEME_CSS}
+    .create { display:grid; grid-template-columns: 2fr 1fr auto; gap: 10px; align-items:end; }
+    code { word-break: break-all; }
   </style>
+  <script src="/app.js" defer></script>
 </head>
 <body>
   <div class="container">
     <div class="heading">
-      <h1>Account Maps</h1>
-      <a class="btn" href="https://discord.com/channels/@me" target="_blank">Open Discord</a>
+      <div class="row">
+        <a class="btn" href="/">&larr; Back</a>
+        <h1 style="margin-left:8px">API tokens</h1>
+      </div>
+      <span class="pill">${tokens.filter(t => !t.revoked_at).length} active</span>
     </div>
 
-    <div class="grid">
-      <div class="card">
-        <h2>All Maps (${maps.length})</h2>
-        ${maps.length ? maps.map(m => `
-          <div class="map">
-            <div>
-              <a href="/map/${m.id}">${escapeHTML(m.name)}</a>
-              <span class="muted">(${m.account_count} accounts)</span>
-            </div>
-            <form method="POST" action="/map/${m.id}/delete" onsubmit="return confirm('Delete "${escapeHTML(m.name)}" and all accounts?');">
-              <button>Delete</button>
-            </form>
-          </div>
-        `).join('') : '<p class="muted">No maps yet.</p>'}
+    ${error ? `<p class="card error">${escapeHTML(error)}</p>` : ''}
+    ${created ? `
+      <div class="card" style="margin-bottom:16px">
+        <p style="margin-top:0">Token <b>${escapeHTML(created.name)}</b> (${created.scope}) created. Copy it now, it will not be shown again:</p>
+        <p><code>${escapeHTML(created.token)}</code></p>
+        <p class="muted" style="margin-bottom:0">Send it as <code>Authorization: Bearer &lt;token&gt;</code> to <code>/api/v1/…</code>.</p>
       </div>
+    ` : ''}
 
-      <div class="card">
-        <h2>Create Map</h2>
-        <form method="POST" action="/map">
-          <input type="text" name="name" placeholder="Map name" required>
-          <div style="height:10px"></div>
-          <button>Create</button>
-        </form>
-        <p class="muted" style="margin-top:12px">Tip: Don’t store sensitive passwords in plain text unless you add auth & encryption.</p>
-      </div>
+    <div class="card" style="margin-bottom:16px">
+      <form method="POST" action="/tokens" class="create">${csrfField(csrfToken)}
+        <label>Name<br><input type="text" name="name" maxlength="${API_TOKEN_NAME_MAX_LENGTH}" placeholder="e.g. stock-sync script" required></label>
+        <label>Scope<br>
+          <select name="scope">
+            <option value="read">Read only</option>
+            <option value="write">Read &amp; write</option>
+          </select>
+        </label>
+        <button>Create token</button>
+      </form>
+    </div>
+
+    <div class="card">
+      ${tokens.length === 0 ? '<p class="muted">No API tokens yet.</p>' : `
+        <table>
+          <thead><tr><th>Name</th><th>Scope</th><th>Token</th><th>Created (UTC)</th><th>Last used (UTC)</th><th></th></tr></thead>
+          <tbody>
+            ${tokens.map(t => `
+              <tr${t.revoked_at ? ' class="muted"' : ''}>
+                <td>${escapeHTML(t.name)}<br><span class="muted">by ${escapeHTML(t.created_by)}</span></td>
+                <td>${t.scope === 'write' ? 'Read &amp; write' : 'Read only'}</td>
+                <td><code>${API_TOKEN_PREFIX}…${escapeHTML(t.token_hint)}</code></td>
+                <td>${escapeHTML(t.created_at)}</td>
+                <td>${escapeHTML(t.last_used_at || 'never')}</td>
+                <td>
+                  ${t.revoked_at ? `Revoked ${escapeHTML(t.revoked_at)}` : `
+                    <form method="POST" action="/tokens/${t.id}/revoke" data-confirm="Revoke this token? Scripts using it will stop working.">${csrfField(csrfToken)}
+                      <button>Revoke</button>
+                    </form>
+                  `}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
     </div>
   </div>
 </body>
-</html>`);
+</html>`;
+}
+
+app.get('/tokens', (req, res) => {
+  res.send(tokensPage({ error: String(req.query.error || ''), csrfToken: req.csrfToken, viewer: req.viewer }));
 });
 
-app.post('/map', (req, res) => {
-  const name = String(req.body.name || '').trim();
-  if (!name) return res.redirect('/');
-  try { createMap(name); } catch (_) {}
-  res.redirect('/');
+app.post('/tokens', (req, res) => {
+  try {
+    const created = createApiToken({ name: req.body.name, scope: req.body.scope, createdBy: req.webUser, guildId: req.guildId });
+    logAudit({ ...webActor(req), action: 'token.create', details: `${created.name} (#${created.id}, ${created.scope})` });
+    res.set('Cache-Control', 'no-store');
+    res.send(tokensPage({ created, csrfToken: req.csrfToken, viewer: req.viewer }));
+  } catch (e) {
+    res.redirect(`/tokens?error=${encodeURIComponent(e.message)}`);
+  }
 });
 
-app.get('/map/:id', (req, res) => {
-  const map = getMapById(req.params.id);
-  if (!map) return res.status(404).send('Map not found');
-  const accounts = listAccountsByMapId(map.id, 500);
+app.post('/tokens/:id/revoke', (req, res) => {
+  const token = getApiTokenById(req.params.id);
+  const mine = token && token.guild_id === req.guildId && (req.viewer.admin || token.created_by === req.webUser);
+  if (mine && revokeApiToken(token.id)) {
+    logAudit({ ...webActor(req), action: 'token.revoke', details: `${token.name} (#${token.id}, ${token.scope})` });
+  }
+  res.redirect('/tokens');
+});
+
+const AUDIT_WEB_PAGE_SIZE = 50;
+
+app.get('/audit', (req, res) => {
+  const filters = {
+    action: [...auditGroups(), ...AUDIT_ACTIONS].includes(req.query.action) ? req.query.action : '',
+    source: AUDIT_SOURCES.includes(req.query.source) ? req.query.source : '',
+    actor: String(req.query.actor || '').trim()
+  };
+  const visible = { ...filters, hiddenMaps: hiddenMapIds(req.viewer), guildId: req.guildId };
+  const total = countAuditLog(visible);
+  const pages = Math.max(1, Math.ceil(total / AUDIT_WEB_PAGE_SIZE));
+  const page = Math.min(Math.max(1, Number(req.query.page) || 1), pages);
+  const entries = listAuditLog(visible, { limit: AUDIT_WEB_PAGE_SIZE, offset: (page - 1) * AUDIT_WEB_PAGE_SIZE });
+  const pageLink = p => '/audit?' + new URLSearchParams({ ...filters, page: String(p) }).toString();
 
   res.send(`<!doctype html>
 <html>
 <head>
   <meta charset="utf-8">
-  <title>Map: ${escapeHTML(map.name)}</title>
+  <title>Audit Log</title>
   <meta name="viewport" content="width=device-width, initial-scale=1">
-  <style>
-    /* Shared theme (same as home) */
-    :root {
-      --bg1: #0f2027; --bg2: #203a43; --bg3: #2c5364;
-      --glass: rgba(255,255,255,.08); --border: rgba(255,255,255,.15);
-      --text: #e9eef3; --muted: #9fb2c0; --accent: #65d6ff; --danger: #ff6b6b; --ok: #52d27d;
-    }
-    html, body { height:100%; margin:0; }
-    body {
-      font-family: Inter, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
-      color: var(--text);
-      background: linear-gradient(120deg, var(--bg1), var(--bg2), var(--bg3));
-      background-size: 200% 200%;
-      animation: moveBg 12s ease-in-out infinite;
-    }
-    @keyframes moveBg {
-      0% { background-position: 0% 50%; }
-      50% { background-position: 100% 50%; }
-      100% { background-position: 0% 50%; }
-    }
-    .container { max-width: 1200px; margin: 48px auto; padding: 0 20px; }
-    .heading { display:flex; align-items:center; justify-content:space-between; margin-bottom: 24px; }
-    h1 { margin: 0; font-weight: 700; letter-spacing: .3px; }
-    .grid { display: grid; grid-template-columns: 1.6fr 1fr; gap: 20px; }
-    .card {
-      background: var(--glass);
-      border: 1px solid var(--border);
-      border-radius: 16px;
-      padding: 18px;
-      backdrop-filter: blur(8px);
-      box-shadow: 0 8px 30px rgba(0,0,0,.25);
-    }
-    table { width: 100%; border-collapse: collapse; }
-    th, td { padding: 10px 8px; border-bottom: 1px dashed rgba(255,255,255,.12); text-align:left; vertical-align: top; }
-    th { color: var(--muted); font-weight: 600; }
-    .actions { display: flex; gap: 8px; }
-    button, .btn {
-      cursor: pointer; border: 1px solid var(--border); border-radius:10px;
-      background: rgba(255,255,255,.06); color: var(--text);
-      padding: 8px 12px; transition: .2s transform, .2s background, .2s border;
-    }
-    button:hover, .btn:hover { transform: translateY(-1px); background: rgba(255,255,255,.12); }
-    input[type=text], textarea {
-      width: 100%; padding: 10px 12px; border-radius: 10px; border: 1px solid var(--border);
-      background: rgba(255,255,255,.06); color: var(--text); outline: none;
-    }
-    .muted { color: var(--muted); }
-    .row { display:flex; gap: 10px; align-items:center; }
-    .pill { display:inline-block; padding:4px 8px; background:rgba(255,255,255,.06); border:1px solid var(--border); border-radius:999px; font-size:12px; color: var(--muted); }
-    .pw { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+  <style>${THEME_CSS}
+    .filters { display:grid; grid-template-columns: 1fr 1fr 1fr auto; gap: 10px; align-items:end; margin-bottom: 16px; }
+    td.when { white-space: nowrap; }
   </style>
 </head>
 <body>
@@ -746,134 +4969,608 @@ app.get('/map/:id', (req, res) => {
     <div class="heading">
       <div class="row">
         <a class="btn" href="/">&larr; Back</a>
-        <h1 style="margin-left:8px">Map: ${escapeHTML(map.name)}</h1>
+        <h1 style="margin-left:8px">Audit Log</h1>
       </div>
-      <span class="pill">${accounts.length} accounts</span>
+      <span class="pill">${total} entries</span>
     </div>
 
-    <div class="grid">
-      <div class="card">
-        <h2>Accounts</h2>
-        ${accounts.length === 0 ? '<p class="muted">No accounts yet.</p>' : `
-          <table>
-            <thead><tr><th>Label</th><th>Login</th><th>Password</th><th>Actions</th></tr></thead>
-            <tbody>
-              ${accounts.map(a => `
-                <tr>
-                  <td>${escapeHTML(a.label || a.login)}</td>
-                  <td>${escapeHTML(a.login || '')}</td>
-                  <td class="pw"><span id="pw-${a.id}">••••••••</span></td>
-                  <td class="actions">
-                    <button onclick="reveal(${a.id})">Reveal</button>
-                    <button onclick="copyLogin('${escapeHTML(a.login || '')}')">Copy login</button>
-                    <form method="POST" action="/map/${map.id}/account/${a.id}/delete" style="display:inline" onsubmit="return confirm('Delete this account?');">
-                      <button style="border-color: rgba(255,0,0,.35); color:#ffd6d6;">Delete</button>
-                    </form>
-                  </td>
-                </tr>
-              `).join('')}
-            </tbody>
-          </table>
-        `}
-      </div>
+    <div class="card">
+      <form method="GET" action="/audit" class="filters">
+        <label>Action<br>
+          <select name="action">
+            <option value="">All actions</option>
+            ${auditGroups().map(g => `<option value="${g}"${g === filters.action ? ' selected' : ''}>All ${g.slice(0, -2)} actions</option>`).join('')}
+            ${AUDIT_ACTIONS.map(a => `<option value="${a}"${a === filters.action ? ' selected' : ''}>${a}</option>`).join('')}
+          </select>
+        </label>
+        <label>Source<br>
+          <select name="source">
+            <option value="">Any source</option>
+            <option value="discord"${filters.source === 'discord' ? ' selected' : ''}>Discord</option>
+            <option value="web"${filters.source === 'web' ? ' selected' : ''}>Web</option>
+            <option value="api"${filters.source === 'api' ? ' selected' : ''}>API</option>
+            <option value="system"${filters.source === 'system' ? ' selected' : ''}>System</option>
+          </select>
+        </label>
+        <label>Actor<br><input type="text" name="actor" value="${escapeHTML(filters.actor)}" placeholder="User ID or name"></label>
+        <button>Filter</button>
+      </form>
 
-      <div class="card">
-        <h2>Add Accounts</h2>
-        <p class="muted">Use the simple format: <b>login:password</b></p>
-        <form method="POST" action="/map/${map.id}/account">
-          <label>Single pair<br><input type="text" name="pair" placeholder="user@mail.com:pass123" required></label>
-          <div style="height:8px"></div>
-          <label>Label (optional)<br><input type="text" name="label" placeholder="Friendly name"></label>
-          <div style="height:10px"></div>
-          <button>Add</button>
-        </form>
+      ${entries.length === 0 ? '<p class="muted">No audit entries.</p>' : `
+        <table>
+          <thead><tr><th>When (UTC)</th><th>Source</th><th>Actor</th><th>Action</th><th>Map</th><th>Account</th><th>Details</th></tr></thead>
+          <tbody>
+            ${entries.map(e => `
+              <tr>
+                <td class="when">${escapeHTML(e.created_at)}</td>
+                <td>${escapeHTML(e.source)}</td>
+                <td>${escapeHTML(e.actor_name || e.actor)}${['discord', 'api'].includes(e.source) ? `<br><span class="muted">${escapeHTML(e.actor)}</span>` : ''}</td>
+                <td>${escapeHTML(e.action)}</td>
+                <td>${escapeHTML(e.map_name || '')}</td>
+                <td>${escapeHTML(e.account_login || '')}</td>
+                <td class="muted">${escapeHTML(e.details || '')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
 
-        <div style="height:20px"></div>
-        <h3>Bulk add</h3>
-        <form method="POST" action="/map/${map.id}/account/bulk">
-          <label>One per line<br>
-            <textarea name="pairs" rows="8" placeholder="first@mail.com:pass1\nsecond@mail.com:pass2"></textarea>
-          </label>
-          <div style="height:10px"></div>
-          <button>Bulk Add</button>
-        </form>
-        <p class="muted" style="margin-top:12px">Passwords are shown masked by default. Click Reveal to view or copy.</p>
+      <div class="row" style="margin-top:16px; justify-content:space-between">
+        ${page > 1 ? `<a class="btn" href="${escapeHTML(pageLink(page - 1))}">&larr; Previous</a>` : '<span></span>'}
+        <span class="muted">Page ${page} of ${pages}</span>
+        ${page < pages ? `<a class="btn" href="${escapeHTML(pageLink(page + 1))}">Next &rarr;</a>` : '<span></span>'}
       </div>
     </div>
   </div>
-
-  <script>
-    async function reveal(id) {
-      const el = document.getElementById('pw-' + id);
-      if (!el) return;
-      el.textContent = '…';
-      try {
-        const r = await fetch('/api/account/' + id);
-        if (!r.ok) throw new Error('HTTP ' + r.status);
-        const d = await r.json();
-        el.textContent = d.password || '—';
-      } catch (e) {
-        el.textContent = 'error';
-        alert('Failed to reveal password: ' + e.message);
-      }
-    }
-    async function copyLogin(text) {
-      try { await navigator.clipboard.writeText(text); alert('Login copied'); }
-      catch { alert('Copy failed'); }
-    }
-  </script>
 </body>
 </html>`);
 });
 
-app.post('/map/:id/account', (req, res) => {
-  const map = getMapById(req.params.id);
-  if (!map) return res.status(404).send('Map not found');
-  const pair = String(req.body.pair || '').trim();
-  const label = String(req.body.label || '').trim() || null;
-  if (!pair) return res.redirect(`/map/${map.id}`);
+// Minimal API to reveal password on demand (avoid embedding plaintext in HTML)
+app.get('/api/account/:id', (req, res) => {
+  const acc = getAccountById(req.params.id, { viewer: req.viewer, level: 'reveal' });
+  if (!acc) return res.status(404).json({ error: 'not found' });
+  logAudit({ ...webActor(req), action: 'account.reveal', map: getMapById(acc.map_id), account: acc });
+  res.json({ id: acc.id, login: acc.login, password: decryptSecret(acc.password), secret: accountSecret(acc) });
+});
+
+// Picks, claims and reveals an unclaimed account
+app.post('/api/map/:id/claim-free', (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer, level: 'reveal' });
+  if (!map) return res.status(404).json({ error: 'not found' });
+  const acc = claimFreeAccount(map.id, webActor(req));
+  if (!acc) return res.status(409).json({ error: `No free accounts in "${map.name}" right now.` });
+  logAudit({ ...webActor(req), action: 'account.claim', map, account: acc, details: 'free account picked, password revealed' });
+  res.json({ id: acc.id, login: acc.login, password: decryptSecret(acc.password) });
+});
+
+app.get('/api/account/:id/totp', (req, res) => {
+  const acc = getAccountById(req.params.id, { viewer: req.viewer, level: 'reveal' });
+  if (!acc) return res.status(404).json({ error: 'not found' });
+  const totp = accountTotp(acc);
+  if (!totp) return res.status(404).json({ error: 'no 2FA secret' });
+  logAudit({ ...webActor(req), action: 'account.totp', map: getMapById(acc.map_id), account: acc });
+  const { code, remaining } = totpCode(totp);
+  res.json({ id: acc.id, code, remaining, period: totp.period });
+});
+
+// ---------- REST API (/api/v1) ----------
+// Authenticated with `Authorization: Bearer <token>`. Every error is { error: { code, message } };
+// read tokens may call the GET routes and /export, write tokens everything.
+const API_PAGE_MAX = 500;
+
+function apiError(res, status, code, message, extra = {}) {
+  return res.status(status).json({ error: { code, message, ...extra } });
+}
+// Parser/validation errors become 400s and UNIQUE violations 409s; anything else is a real failure
+function apiFail(res, e, conflictMessage) {
+  if (String(e.message).includes('UNIQUE')) return apiError(res, 409, 'conflict', conflictMessage);
+  if (e.code) throw e;
+  return apiError(res, 400, 'invalid_request', e.message);
+}
+function apiPaging(query, defaultLimit = 100) {
+  return {
+    limit: Math.min(Math.max(1, Math.floor(Number(query.limit)) || defaultLimit), API_PAGE_MAX),
+    offset: Math.max(0, Math.floor(Number(query.offset)) || 0)
+  };
+}
+function apiMap(m) {
+  return {
+    id: m.id,
+    name: m.name,
+    description: m.description || null,
+    color: m.color || null,
+    icon: m.icon || null,
+    password_history_limit: m.password_history_limit ?? null,
+    account_count: m.account_count,
+    status_counts: m.status_counts,
+    created_at: m.created_at
+  };
+}
+function apiMapById(id, viewer) {
+  const map = listMapsWithCounts(viewer).find(m => m.id === Number(id));
+  return map ? apiMap(map) : null;
+}
+// Never includes the password or 2FA secret; those have their own audited routes
+function apiAccount(acc) {
+  const claimed = isClaimActive(acc);
+  return {
+    id: acc.id,
+    map_id: acc.map_id,
+    login: acc.login,
+    label: acc.raw_label ?? null,
+    status: acc.status,
+    status_reason: acc.status_reason || null,
+    ...parseAccountData(acc.data),
+    has_totp: Boolean(acc.totp_secret || acc.has_totp),
+    claimed_by: claimed ? acc.claimed_by_name : null,
+    claimed_at: claimed ? acc.claimed_at : null,
+    created_at: acc.created_at
+  };
+}
+// `pairs` is LOGIN:PASSWORD text, or an array of such strings or { login, password } objects
+function apiPairEntries(pairs) {
+  if (typeof pairs === 'string') return pairLines(pairs);
+  if (!Array.isArray(pairs)) throw new Error('pairs must be LOGIN:PASSWORD lines or an array of pairs');
+  return pairs.map((p, i) => ({
+    lineNo: i + 1,
+    line: typeof p === 'string' ? p.trim() : `${String(p?.login ?? '').trim()}:${String(p?.password ?? '').trim()}`
+  }));
+}
+// JSON types are checked before anything is coerced with String(), which would store
+// { "notes": {} } as "[object Object]". null clears a field like an empty string.
+const API_ACCOUNT_STRING_KEYS = ['login', 'password', 'label', 'notes', 'status', 'status_reason', 'totp'];
+const API_MAP_STRING_KEYS = ['name', 'description', 'color', 'icon'];
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+function apiAccountBodyError(b) {
+  if (!isObject(b)) return 'The body must be a JSON object';
+  const badKey = API_ACCOUNT_STRING_KEYS.find(key => b[key] != null && typeof b[key] !== 'string');
+  if (badKey) return `${badKey} must be a string`;
+  if (b.tags != null && typeof b.tags !== 'string' && !(Array.isArray(b.tags) && b.tags.every(t => typeof t === 'string'))) {
+    return 'tags must be a comma-separated string or an array of strings';
+  }
+  if (b.fields != null && typeof b.fields !== 'string' && !(isObject(b.fields) && Object.values(b.fields).every(v => typeof v === 'string'))) {
+    return 'fields must be an object of string values or "key: value" lines';
+  }
+  return null;
+}
+function apiMapBodyError(b) {
+  if (!isObject(b)) return 'The body must be a JSON object';
+  const badKey = API_MAP_STRING_KEYS.find(key => b[key] != null && typeof b[key] !== 'string');
+  if (badKey) return `${badKey} must be a string`;
+  if (b.password_history_limit != null && !Number.isInteger(b.password_history_limit)) return 'password_history_limit must be a whole number';
+  return null;
+}
+function requireWrite(req, res, next) {
+  if (req.apiToken.scope !== 'write') return apiError(res, 403, 'forbidden', 'This token is read-only');
+  next();
+}
+// Maps the token's user cannot see are already 404s; seeing one without `level` is a 403
+function requireMapAccess(req, res, mapId, level) {
+  if (canAccessMap(mapId, req.viewer, level)) return true;
+  apiError(res, 403, 'forbidden', `This token's user has no ${level} access to this map`);
+  return false;
+}
+
+api.use(express.json({ limit: IMPORT_MAX_BYTES }));
+
+api.use((req, res, next) => {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  const token = m && findApiToken(m[1]);
+  // A token acts with the map access of the web user who created it
+  if (!token || !webUsers.has(token.created_by)) return apiError(res, 401, 'unauthorized', 'Missing, invalid or revoked API token');
+  req.apiToken = token;
+  req.viewer = webViewer(token.created_by, token.guild_id);
+  next();
+});
+
+api.get('/maps', (req, res) => {
+  res.json({ maps: listMapsWithCounts(req.viewer).map(apiMap) });
+});
+
+api.post('/maps', requireWrite, (req, res) => {
+  const b = req.body;
+  const bodyError = apiMapBodyError(b);
+  if (bodyError) return apiError(res, 400, 'invalid_request', bodyError);
+  const name = String(b.name ?? '').trim();
+  if (!name) return apiError(res, 400, 'invalid_request', 'Map name is required');
   try {
-    addAccountPairToMap({ mapId: map.id, pair, label });
-  } catch (_) {}
-  res.redirect(`/map/${map.id}`);
+    const id = db.transaction(() => {
+      const newId = Number(createMap(name, req.viewer.guildId).lastInsertRowid);
+      updateMap({ id: newId, name, description: b.description, color: b.color, icon: b.icon, historyLimit: b.password_history_limit });
+      return newId;
+    })();
+    logAudit({ ...apiActor(req), action: 'map.create', map: { id, name } });
+    res.status(201).json({ map: apiMapById(id, req.viewer) });
+  } catch (e) {
+    apiFail(res, e, mapNameTakenMessage(name, req.viewer.guildId));
+  }
 });
 
-app.post('/map/:id/account/bulk', (req, res) => {
-  const map = getMapById(req.params.id);
-  if (!map) return res.status(404).send('Map not found');
-  const pairs = String(req.body.pairs || '');
+api.get('/maps/:id', (req, res) => {
+  const map = apiMapById(req.params.id, req.viewer);
+  if (!map) return apiError(res, 404, 'not_found', 'Map not found');
+  res.json({ map });
+});
+
+// Only the fields present in the body change
+api.patch('/maps/:id', requireWrite, (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer });
+  if (!map) return apiError(res, 404, 'not_found', 'Map not found');
+  if (!requireMapAccess(req, res, map.id, 'modify')) return;
+  const b = req.body;
+  const bodyError = apiMapBodyError(b);
+  if (bodyError) return apiError(res, 400, 'invalid_request', bodyError);
+  const field = (key, current) => (key in b ? b[key] : current);
+  const name = String(field('name', map.name) ?? '').trim();
+  if (!name) return apiError(res, 400, 'invalid_request', 'Map name is required');
   try {
-    bulkAddPairs({ mapId: map.id, pairsText: pairs });
-  } catch (_) {}
-  res.redirect(`/map/${map.id}`);
+    updateMap({
+      id: map.id,
+      name,
+      description: field('description', map.description),
+      color: field('color', map.color),
+      icon: field('icon', map.icon),
+      historyLimit: field('password_history_limit', map.password_history_limit)
+    });
+    pruneMapPasswordHistory(map.id);
+    logAudit({ ...apiActor(req), action: 'map.edit', map: { id: map.id, name }, details: name !== map.name ? `renamed from ${map.name}` : null });
+    res.json({ map: apiMapById(map.id, req.viewer) });
+  } catch (e) {
+    apiFail(res, e, mapNameTakenMessage(name, req.viewer.guildId));
+  }
 });
 
-app.post('/map/:id/delete', (req, res) => {
-  deleteMapById(req.params.id);
-  res.redirect('/');
+api.delete('/maps/:id', requireWrite, (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer });
+  if (!map) return apiError(res, 404, 'not_found', 'Map not found');
+  if (!requireMapAccess(req, res, map.id, 'modify')) return;
+  const accountCount = countAccountsInMap(map.id);
+  deleteMapById(map.id);
+  logAudit({ ...apiActor(req), action: 'map.delete', map, details: `${accountCount} accounts` });
+  res.status(204).end();
 });
 
-app.post('/map/:mapId/account/:accountId/delete', (req, res) => {
-  removeAccountById({ id: req.params.accountId });
-  res.redirect(`/map/${req.params.mapId}`);
+api.get('/maps/:id/accounts', (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer });
+  if (!map) return apiError(res, 404, 'not_found', 'Map not found');
+  const { limit, offset } = apiPaging(req.query);
+  const tag = String(req.query.tag || '').trim();
+  res.json({
+    accounts: listAccountsByMapId(map.id, limit, offset, { tag }).map(apiAccount),
+    total: tag ? undefined : countAccountsInMap(map.id),
+    limit,
+    offset
+  });
 });
 
-// Minimal API to reveal password on demand (avoid embedding plaintext in HTML)
-app.get('/api/account/:id', (req, res) => {
-  const row = db.prepare('SELECT id, login, password FROM accounts WHERE id = ?').get(req.params.id);
-  if (!row) return res.status(404).json({ error: 'not found' });
-  res.json(row);
+api.post('/maps/:id/accounts', requireWrite, (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer });
+  if (!map) return apiError(res, 404, 'not_found', 'Map not found');
+  if (!requireMapAccess(req, res, map.id, 'modify')) return;
+  const b = req.body;
+  const bodyError = apiAccountBodyError(b);
+  if (bodyError) return apiError(res, 400, 'invalid_request', bodyError);
+  const login = String(b.login ?? '').trim();
+  const password = String(b.password ?? '').trim();
+  if (!login || !password) return apiError(res, 400, 'invalid_request', 'Both login and password are required');
+  try {
+    const data = buildAccountData({ notes: b.notes, tags: b.tags, fields: b.fields });
+    const totp = b.totp ? parseTotp(b.totp) : null;
+    const status = b.status ? parseStatus(b.status) : 'active';
+    const id = db.transaction(() => {
+      const newId = Number(addAccountToMap({ mapId: map.id, login, password, label: String(b.label ?? '').trim() || null, data, totp }).lastInsertRowid);
+      if (status !== 'active') setAccountStatus(newId, status, b.status_reason);
+      return newId;
+    })();
+    const acc = getAccountById(id);
+    logAudit({ ...apiActor(req), action: 'account.add', map, account: acc });
+    res.status(201).json({ account: apiAccount(acc) });
+  } catch (e) {
+    apiFail(res, e, `"${login}" already exists in this map`);
+  }
+});
+
+// Same rules as the bulk modal: mode is add, preview (dry run) or overwrite
+api.post('/maps/:id/accounts/bulk', requireWrite, async (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer });
+  if (!map) return apiError(res, 404, 'not_found', 'Map not found');
+  if (!requireMapAccess(req, res, map.id, 'modify')) return;
+  const mode = req.body.mode ?? 'add';
+  if (!BULK_MODES.includes(mode)) return apiError(res, 400, 'invalid_request', `mode must be one of: ${BULK_MODES.join(', ')}`);
+  let entries;
+  try {
+    entries = apiPairEntries(req.body.pairs);
+  } catch (e) {
+    return apiError(res, 400, 'invalid_request', e.message);
+  }
+  try {
+    const dryRun = mode === 'preview';
+    const result = bulkAddEntries({ mapId: map.id, entries, dryRun, overwrite: mode === 'overwrite', actor: apiActor(req) });
+    if (!dryRun) logAudit({ ...apiActor(req), action: 'account.bulk_add', map, details: bulkAuditDetails(mode, result) });
+    res.json({
+      mode,
+      added: result.added,
+      updated: result.updated,
+      duplicates: result.duplicates,
+      errors: result.errors.map(e => ({ line_no: e.lineNo, line: e.line, error: e.error })),
+      duplicate_lines: result.duplicateLines.map(d => ({ line_no: d.lineNo, line: d.line, updated: d.updated }))
+    });
+  } catch (e) {
+    console.error(e);
+    apiError(res, 500, 'internal', 'Bulk add failed');
+  }
+});
+
+// Counts as in the bulk add response; "added" is what reached the target map
+function apiTransferResult(res) {
+  return {
+    mode: res.mode,
+    added: res.added,
+    updated: res.updated,
+    duplicates: res.duplicates,
+    errors: res.errors.map(e => ({ account: e.line, error: e.error })),
+    duplicate_accounts: res.duplicateLines.map(d => ({ account: d.line, updated: d.updated }))
+  };
+}
+
+api.post('/maps/:id/merge', requireWrite, (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer });
+  if (!map) return apiError(res, 404, 'not_found', 'Map not found');
+  const target = getMapById(req.body.target_map_id, { viewer: req.viewer });
+  if (!target) return apiError(res, 404, 'not_found', 'Target map not found');
+  if (!requireMapAccess(req, res, map.id, 'modify') || !requireMapAccess(req, res, target.id, 'modify')) return;
+  try {
+    const results = mergeMaps({ sourceId: map.id, targetId: target.id, duplicates: req.body.duplicates, actor: apiActor(req) });
+    logAudit({ ...apiActor(req), action: 'map.merge', map: target, details: `from ${map.name}: ${transferAuditDetails(results)}` });
+    res.json({ map: apiMapById(target.id, req.viewer), ...apiTransferResult(results) });
+  } catch (e) {
+    apiFail(res, e);
+  }
+});
+
+api.post('/maps/:id/copy', requireWrite, (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer });
+  if (!map) return apiError(res, 404, 'not_found', 'Map not found');
+  if (!requireMapAccess(req, res, map.id, 'modify')) return;
+  const name = String(req.body.name ?? '').trim();
+  if (!name) return apiError(res, 400, 'invalid_request', 'Map name is required');
+  try {
+    const { mapId, results } = copyMap({ source: map, name, actor: apiActor(req) });
+    logAudit({ ...apiActor(req), action: 'map.copy', map: { id: mapId, name }, details: `from ${map.name}: ${transferAuditDetails(results)}` });
+    res.status(201).json({ map: apiMapById(mapId, req.viewer), ...apiTransferResult(results) });
+  } catch (e) {
+    apiFail(res, e, mapNameTakenMessage(name, map.guild_id));
+  }
+});
+
+// action is move, copy or delete; move/copy take target_map_id, or new_map_name to split the
+// accounts off into a new map with this map's settings
+api.post('/maps/:id/accounts/transfer', requireWrite, (req, res) => {
+  const map = getMapById(req.params.id, { viewer: req.viewer });
+  if (!map) return apiError(res, 404, 'not_found', 'Map not found');
+  if (!requireMapAccess(req, res, map.id, 'modify')) return;
+  const b = req.body;
+  const ids = Array.isArray(b.ids) ? b.ids.map(Number).filter(Number.isInteger) : [];
+  if (!ids.length) return apiError(res, 400, 'invalid_request', 'ids must be a non-empty array of account ids');
+  if (!SELECTED_ACTIONS.includes(b.action)) return apiError(res, 400, 'invalid_request', `action must be one of: ${SELECTED_ACTIONS.join(', ')}`);
+  if (b.action === 'delete') {
+    const result = trashAccounts({ ids, fromMapId: map.id });
+    logAudit({ ...apiActor(req), action: 'account.bulk_delete', map, details: `deleted ${result.deleted}, errors ${result.errors.length}` });
+    return res.json({ mode: 'delete', deleted: result.deleted, errors: result.errors.map(e => ({ account: e.line, error: e.error })) });
+  }
+  const newMapName = String(b.new_map_name ?? '').trim();
+  const target = newMapName ? null : getMapById(b.target_map_id, { viewer: req.viewer });
+  if (!newMapName && !target) return apiError(res, 404, 'not_found', 'Target map not found');
+  if (target && !requireMapAccess(req, res, target.id, 'modify')) return;
+  try {
+    const { mapId, results } = transferSelected({
+      source: map, ids, mode: b.action, targetMapId: target?.id, newMapName, duplicates: b.duplicates, actor: apiActor(req)
+    });
+    const to = getMapById(mapId);
+    logAudit({ ...apiActor(req), action: `account.bulk_${results.mode}`, map, details: `to ${to.name}: ${transferAuditDetails(results)}` });
+    res.json({ map: apiMapById(mapId, req.viewer), ...apiTransferResult(results) });
+  } catch (e) {
+    apiFail(res, e, mapNameTakenMessage(newMapName, map.guild_id));
+  }
+});
+
+api.get('/accounts/:id', (req, res) => {
+  const acc = getAccountById(req.params.id, { viewer: req.viewer });
+  if (!acc) return apiError(res, 404, 'not_found', 'Account not found');
+  res.json({ account: apiAccount(acc) });
+});
+
+api.get('/accounts/:id/password', (req, res) => {
+  const acc = getAccountById(req.params.id, { viewer: req.viewer });
+  if (!acc) return apiError(res, 404, 'not_found', 'Account not found');
+  if (!requireMapAccess(req, res, acc.map_id, 'reveal')) return;
+  logAudit({ ...apiActor(req), action: 'account.reveal', map: getMapById(acc.map_id), account: acc });
+  res.json({ id: acc.id, login: acc.login, password: decryptSecret(acc.password), secret: accountSecret(acc) });
+});
+
+api.get('/accounts/:id/totp', (req, res) => {
+  const acc = getAccountById(req.params.id, { viewer: req.viewer });
+  if (!acc) return apiError(res, 404, 'not_found', 'Account not found');
+  if (!requireMapAccess(req, res, acc.map_id, 'reveal')) return;
+  const totp = accountTotp(acc);
+  if (!totp) return apiError(res, 404, 'not_found', 'This account has no 2FA secret');
+  logAudit({ ...apiActor(req), action: 'account.totp', map: getMapById(acc.map_id), account: acc });
+  const { code, remaining } = totpCode(totp);
+  res.json({ id: acc.id, code, remaining, period: totp.period });
+});
+
+// Only the fields present in the body change; "totp": null removes the 2FA secret
+api.patch('/accounts/:id', requireWrite, (req, res) => {
+  const acc = getAccountById(req.params.id, { viewer: req.viewer });
+  if (!acc) return apiError(res, 404, 'not_found', 'Account not found');
+  if (!requireMapAccess(req, res, acc.map_id, 'modify')) return;
+  const b = req.body;
+  const bodyError = apiAccountBodyError(b);
+  if (bodyError) return apiError(res, 400, 'invalid_request', bodyError);
+  const field = (key, current) => (key in b ? b[key] : current);
+  const login = String(field('login', acc.login) ?? '').trim();
+  const label = String(field('label', acc.raw_label) ?? '').trim() || null;
+  const password = String(b.password ?? '').trim();
+  if (!login) return apiError(res, 400, 'invalid_request', 'Login is required');
+  try {
+    const current = parseAccountData(acc.data);
+    const data = buildAccountData({ notes: field('notes', current.notes), tags: field('tags', current.tags), fields: field('fields', current.fields) });
+    const totp = 'totp' in b ? (b.totp ? parseTotp(b.totp) : null) : undefined;
+    const status = 'status' in b ? parseStatus(b.status) : acc.status;
+    const statusReason = status === 'active' ? null : String(field('status_reason', acc.status_reason) ?? '').trim() || null;
+    db.transaction(() => {
+      updateAccount({ id: acc.id, login, label, password, actor: apiActor(req) });
+      updateAccountData(acc.id, data);
+      if (totp !== undefined) setAccountTotp(acc.id, totp, login);
+      setAccountStatus(acc.id, status, statusReason);
+    })();
+    if (status !== acc.status || statusReason !== acc.status_reason) {
+      logAudit({
+        ...apiActor(req), action: 'account.status', map: getMapById(acc.map_id), account: { ...acc, login },
+        details: `${acc.status} → ${status}${statusReason ? `: ${statusReason}` : ''}`
+      });
+    }
+    const dataChanges = accountDataChanges(acc, data);
+    const changed = [
+      login !== acc.login && 'login',
+      label !== acc.raw_label && 'label',
+      password && 'password',
+      dataChanges !== 'no changes' && dataChanges,
+      totp !== undefined && (totp ? '2FA secret' : '2FA secret removed')
+    ].filter(Boolean);
+    logAudit({ ...apiActor(req), action: 'account.edit', map: getMapById(acc.map_id), account: { ...acc, login }, details: changed.join(', ') || 'no changes' });
+    res.json({ account: apiAccount(getAccountById(acc.id)) });
+  } catch (e) {
+    apiFail(res, e, `"${login}" already exists in this map`);
+  }
+});
+
+api.delete('/accounts/:id', requireWrite, (req, res) => {
+  const acc = getAccountById(req.params.id, { viewer: req.viewer });
+  if (!acc) return apiError(res, 404, 'not_found', 'Account not found');
+  if (!requireMapAccess(req, res, acc.map_id, 'modify')) return;
+  removeAccountById({ id: acc.id });
+  logAudit({ ...apiActor(req), action: 'account.delete', map: getMapById(acc.map_id), account: acc });
+  res.status(204).end();
+});
+
+api.get('/search', (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return apiError(res, 400, 'invalid_request', 'q is required');
+  if (q.length > SEARCH_MAX_LENGTH) return apiError(res, 400, 'invalid_request', `q can be at most ${SEARCH_MAX_LENGTH} characters`);
+  const { limit, offset } = apiPaging(req.query, 25);
+  res.json({ query: q, total: countSearchAccounts(q, req.viewer), accounts: searchAccounts(q, limit, offset, req.viewer), limit, offset });
+});
+
+// POST so the passphrase stays out of URLs and logs; allowed for read tokens
+api.post('/export', (req, res) => {
+  const mapId = req.body.map_id ? Number(req.body.map_id) : null;
+  if (mapId && !getMapById(mapId, { viewer: req.viewer })) return apiError(res, 404, 'not_found', 'Map not found');
+  if (mapId && !requireMapAccess(req, res, mapId, 'reveal')) return;
+  const format = req.body.format ?? 'json';
+  if (!['json', 'csv'].includes(format)) return apiError(res, 400, 'invalid_request', 'format must be json or csv');
+  const passphrase = String(req.body.passphrase || '') || null;
+  const file = buildExportFile({ mapId, format, passphrase, viewer: req.viewer });
+  const accountCount = file.data.maps.reduce((n, m) => n + m.accounts.length, 0);
+  logAudit({
+    ...apiActor(req), action: 'data.export', map: mapId ? getMapById(mapId) : null,
+    details: `${file.data.maps.length} maps, ${accountCount} accounts, ${format}${passphrase ? ', encrypted' : ''}`
+  });
+  res.attachment(file.filename);
+  res.type(passphrase || format === 'json' ? 'application/json' : 'text/csv');
+  res.send(file.content);
+});
+
+// `content` is the text of an export file (JSON, CSV or encrypted)
+api.post('/import', requireWrite, (req, res) => {
+  const content = req.body.content;
+  if (typeof content !== 'string' || !content.trim()) return apiError(res, 400, 'invalid_request', 'content must be the text of an export file');
+  let result;
+  try {
+    result = importMaps(parseExportFile(content, { passphrase: String(req.body.passphrase || '') || null }), req.viewer);
+  } catch (e) {
+    return apiFail(res, e);
+  }
+  logAudit({
+    ...apiActor(req), action: 'data.import',
+    details: `api: maps created ${result.mapsCreated}, merged ${result.mapsMerged}, added ${result.added}, duplicates ${result.duplicates}, errors ${result.errors.length}`
+  });
+  res.json({
+    maps_created: result.mapsCreated,
+    maps_merged: result.mapsMerged,
+    added: result.added,
+    duplicates: result.duplicates,
+    errors: result.errors
+  });
 });
 
-// Bind to localhost only
-app.listen(PORT, '127.0.0.1', () => {
-  console.log(`🌐 Web UI running at http://localhost:${PORT}`);
+api.use((req, res) => {
+  apiError(res, 404, 'not_found', `No such endpoint: ${req.method} ${req.baseUrl}${req.path}`);
+});
+
+api.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') return apiError(res, 400, 'invalid_json', 'Request body is not valid JSON');
+  if (err.type === 'entity.too.large') return apiError(res, 413, 'payload_too_large', 'Request body is too large');
+  console.error(err);
+  apiError(res, 500, 'internal', 'Internal error');
+});
+
+// WEB_HOST defaults to localhost only; serve HTTPS directly when a cert and key are given
+const webServer = webTLS
+  ? https.createServer({ cert: fs.readFileSync(TLS_CERT_PATH), key: fs.readFileSync(TLS_KEY_PATH) }, app)
+  : app;
+webServer.listen(PORT, WEB_HOST, () => {
+  console.log(`🌐 Web UI running at ${WEB_URL}`);
+  if (!webTLS && !parseTrustProxy(TRUST_PROXY) && !['127.0.0.1', '::1', 'localhost'].includes(WEB_HOST)) {
+    console.warn('⚠️ The web UI is reachable from other machines over plain HTTP; set TLS_CERT_PATH/TLS_KEY_PATH or put it behind an HTTPS proxy');
+  }
 });
 
 // ---------- Boot ----------
+function runTrashRetention() {
+  const purged = purgeExpiredTrash();
+  if (purged.maps || purged.accounts) {
+    console.log(`♻️ Purged ${purged.maps} map(s) and ${purged.accounts} account(s) from the trash`);
+    logAudit({ source: 'system', actor: 'retention', action: 'trash.auto_purge', details: `${purged.maps} maps, ${purged.accounts} accounts` });
+  }
+}
+runTrashRetention();
+setInterval(runTrashRetention, 60 * 60 * 1000).unref();
+
+function runClaimExpiry() {
+  const released = releaseStaleClaims();
+  if (released) {
+    console.log(`🔓 Released ${released} stale claim(s)`);
+    logAudit({ source: 'system', actor: 'claims', action: 'account.claim_expired', details: `${released} accounts released after ${claimTimeoutHours} hours` });
+  }
+}
+runClaimExpiry();
+setInterval(runClaimExpiry, 60 * 60 * 1000).unref();
+
+// Checked hourly (and at startup) so restarts do not push the next backup back
+const backupIntervalMs = Number(BACKUP_INTERVAL_HOURS) * 60 * 60 * 1000;
+async function runScheduledBackup() {
+  const newest = listBackups()[0];
+  if (newest && Date.now() - newest.createdAt.getTime() < backupIntervalMs) return;
+  try {
+    const backup = await createBackup();
+    console.log(`💾 Saved backup ${backup.name} (${formatBytes(backup.size)})`);
+    logAudit({ source: 'system', actor: 'backups', action: 'data.backup', details: `${backup.name}, ${formatBytes(backup.size)}` });
+  } catch (e) {
+    console.error('Scheduled backup failed:', e);
+  }
+}
+if (backupIntervalMs > 0) {
+  runScheduledBackup();
+  setInterval(runScheduledBackup, Math.min(backupIntervalMs, 60 * 60 * 1000)).unref();
+}
+
 (async () => {
   try {
-    await registerCommands();
+    if (COMMANDS_SCOPE === 'global') await registerCommands();
     await client.login(DISCORD_TOKEN);
   } catch (err) {
     console.error('Failed to start:', err);